@@ -104,6 +104,14 @@ def download(url: str, h: Dict[str, str], path: pathlib.Path) -> int:
                     total += len(c)
     return total
 
+def record_failure(item: Dict[str, Any], url: str, error: str):
+    # Same list as successful downloads; the userscript treats records with "error" as failed attempts.
+    item.setdefault("downloads", []).append({
+        "url": url,
+        "error": error,
+        "failed_at": time.strftime("%Y-%m-%dT%H:%M:%SZ", time.gmtime())
+    })
+
 # -------------------------
 # Main
 # -------------------------
@@ -144,6 +152,8 @@ def main():
                 name = probe_filename(url, h)
             except Exception as e:
                 warn(f"filename probe failed: {url} -> {e}")
+                record_failure(item, url, f"filename probe failed: {e}")
+                changed = True
                 continue
 
             if air:
@@ -159,6 +169,8 @@ def main():
                 size = download(url, h, target)
             except Exception as e:
                 warn(f"download failed: {url} -> {e}")
+                record_failure(item, url, f"download failed: {e}")
+                changed = True
                 continue
 
             item.setdefault("downloads", []).append({
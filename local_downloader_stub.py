@@ -0,0 +1,198 @@
+#!/usr/bin/env python3
+"""
+Stand-in for a local downloader daemon, for testing the userscript's "Send to downloader"
+integration without downloading anything.
+
+Protocol (what the userscript expects from a real daemon):
+  POST /api/jobs         body: { schemaVersion, scriptVersion, exportedAt, items: [...] }
+                         -> { "accepted": [key], "rejected": [{ "key", "error" }] }
+  GET  /api/jobs?keys=…  comma-separated, URL-encoded item keys
+                         -> { "jobs": { key: { "state", "bytes", "total", "error" } } }
+  state: queued | downloading | done | failed. Unknown keys are left out of "jobs".
+
+Jobs run one at a time at --speed MB/s; sizes come from the selected variants' sizeBytes
+(or --default-size-mb). Re-sending a key restarts its job.
+
+Point the userscript at it via Settings -> "Local downloader service URL" = http://localhost:8790
+"""
+import sys
+import json
+import time
+import argparse
+import pathlib
+import threading
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+from urllib.parse import urlsplit, parse_qs
+from typing import Optional
+
+MB = 1024 * 1024
+
+
+def die(msg: str):
+    print(f"[ERROR] {msg}", file=sys.stderr)
+    sys.exit(1)
+
+
+def job_size(item: dict, default_size: int) -> int:
+    meta = item.get("meta") or {}
+    links = set(meta.get("downloadlinks") or [])
+    sizes = [v.get("sizeBytes") for v in meta.get("variants") or [] if v.get("url") in links]
+    total = sum(s for s in sizes if isinstance(s, (int, float)) and s > 0)
+    return int(total) or default_size * len(links)
+
+
+def reject_reason(item) -> str:
+    if not isinstance(item, dict) or not isinstance(item.get("key"), str) or not item["key"]:
+        return "missing key"
+    links = (item.get("meta") or {}).get("downloadlinks")
+    if not isinstance(links, list) or not links:
+        return "no download links"
+    if not all(isinstance(u, str) and u.startswith(("http://", "https://")) for u in links):
+        return "download links must be http(s) URLs"
+    return ""
+
+
+class Jobs:
+    """Sequential simulated downloads; progress is advanced lazily on every request."""
+
+    def __init__(self, speed: float, default_size: int, fail: set, queue_delay: float):
+        self.lock = threading.Lock()
+        self.jobs = {}  # key -> job dict, in submission order
+        self.speed = speed * MB
+        self.default_size = default_size
+        self.fail = fail
+        self.queue_delay = queue_delay
+        self.last_tick = time.time()
+
+    def tick(self):
+        now = time.time()
+        budget = (now - self.last_tick) * self.speed
+        self.last_tick = now
+        for job in self.jobs.values():
+            if job["state"] not in ("queued", "downloading"):
+                continue
+            if now < job["ready_at"]:
+                break
+            job["state"] = "downloading"
+            step = min(budget, job["total"] - job["bytes"])
+            job["bytes"] += step
+            budget -= step
+            if job["key"] in self.fail and job["bytes"] >= job["total"] / 2:
+                job["state"] = "failed"
+                job["error"] = "HTTP 403 for download link (stub --fail)"
+                continue
+            if job["bytes"] >= job["total"]:
+                job["state"] = "done"
+                continue
+            break  # budget used up on this job
+
+    def submit(self, items: list) -> dict:
+        accepted, rejected = [], []
+        with self.lock:
+            self.tick()
+            for item in items:
+                reason = reject_reason(item)
+                if reason:
+                    rejected.append({"key": str(item.get("key", "") if isinstance(item, dict) else ""), "error": reason})
+                    continue
+                key = item["key"]
+                self.jobs.pop(key, None)  # re-send restarts and moves to the end
+                self.jobs[key] = {
+                    "key": key,
+                    "state": "queued",
+                    "bytes": 0,
+                    "total": job_size(item, self.default_size),
+                    "error": None,
+                    "ready_at": time.time() + self.queue_delay,
+                }
+                accepted.append(key)
+        return {"accepted": accepted, "rejected": rejected}
+
+    def status(self, keys: list) -> dict:
+        with self.lock:
+            self.tick()
+            return {"jobs": {
+                k: {f: self.jobs[k][f] for f in ("state", "total", "error")} | {"bytes": int(self.jobs[k]["bytes"])}
+                for k in keys if k in self.jobs
+            }}
+
+
+def make_handler(jobs: Jobs, origin: str, save: Optional[pathlib.Path] = None):
+    class Handler(BaseHTTPRequestHandler):
+        def cors(self):
+            self.send_header("Access-Control-Allow-Origin", origin)
+            self.send_header("Access-Control-Allow-Methods", "GET, POST, OPTIONS")
+            self.send_header("Access-Control-Allow-Headers", "Accept, Content-Type")
+            self.send_header("Access-Control-Allow-Private-Network", "true")
+            self.send_header("Vary", "Origin")
+
+        def reply(self, status: int, body: dict):
+            data = json.dumps(body).encode("utf-8")
+            self.send_response(status)
+            self.cors()
+            self.send_header("Content-Type", "application/json; charset=utf-8")
+            self.send_header("Content-Length", str(len(data)))
+            self.end_headers()
+            self.wfile.write(data)
+
+        def do_OPTIONS(self):
+            self.send_response(204)
+            self.cors()
+            self.end_headers()
+
+        def do_GET(self):
+            url = urlsplit(self.path)
+            if url.path != "/api/jobs":
+                return self.reply(404, {"error": "Unknown route"})
+            raw = parse_qs(url.query).get("keys", [""])[0]
+            return self.reply(200, jobs.status([k for k in raw.split(",") if k]))
+
+        def do_POST(self):
+            if urlsplit(self.path).path != "/api/jobs":
+                return self.reply(404, {"error": "Unknown route"})
+            try:
+                length = int(self.headers.get("Content-Length") or 0)
+                body = json.loads(self.rfile.read(length).decode("utf-8"))
+            except (ValueError, UnicodeDecodeError) as e:
+                return self.reply(400, {"error": f"Bad JSON: {e}"})
+            items = body.get("items") if isinstance(body, dict) else None
+            if not isinstance(items, list):
+                return self.reply(400, {"error": "Body must be { items: [...] }"})
+            if save:
+                # Same shape as civitai_export.json, so download_civitai_json.py can run on it.
+                save.write_text(json.dumps(body, indent=2, ensure_ascii=False), encoding="utf-8")
+            return self.reply(200, jobs.submit(items))
+
+    return Handler
+
+
+def main():
+    ap = argparse.ArgumentParser(description="Stub local downloader service with simulated progress")
+    ap.add_argument("--port", type=int, default=8790)
+    ap.add_argument("--origin", default="https://civitai.com", help="Allowed CORS origin (the page running the userscript)")
+    ap.add_argument("--speed", type=float, default=50.0, help="Simulated download speed in MB/s")
+    ap.add_argument("--default-size-mb", type=int, default=200, help="Size per link when the item has no variant sizes")
+    ap.add_argument("--queue-delay", type=float, default=0.0, help="Seconds a job stays queued before it may start")
+    ap.add_argument("--fail", action="append", default=[], metavar="KEY", help="Item key whose job fails halfway (repeatable)")
+    ap.add_argument("--save", help="Write each received batch to this file (export JSON format)")
+    args = ap.parse_args()
+
+    if args.speed <= 0:
+        die("--speed must be positive")
+    save = pathlib.Path(args.save).expanduser().resolve() if args.save else None
+    if save and not save.parent.is_dir():
+        die(f"Directory not found: {save.parent}")
+
+    jobs = Jobs(args.speed, args.default_size_mb * MB, set(args.fail), args.queue_delay)
+    server = ThreadingHTTPServer(("127.0.0.1", args.port), make_handler(jobs, args.origin, save))
+    print(f"[INFO] Stub local downloader on http://localhost:{args.port} ({args.speed:g} MB/s)")
+    try:
+        server.serve_forever()
+    except KeyboardInterrupt:
+        pass
+    finally:
+        server.server_close()
+
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,112 @@
+#!/usr/bin/env python3
+"""
+Local stand-in for the Civitai public API, for testing the userscript without hitting civitai.com.
+
+Serves JSON fixtures:
+  GET /api/v1/models/<id>          -> <fixtures>/models/<id>.json
+  GET /api/v1/model-versions/<id>  -> <fixtures>/model-versions/<id>.json
+
+Point the userscript at it via Settings -> "Civitai API base URL" = http://localhost:8787/api/v1
+Fixtures are re-read on every request, so editing a file (e.g. adding a version to
+modelVersions) is enough to simulate "the creator published a new version".
+"""
+import sys
+import json
+import time
+import argparse
+import pathlib
+import re
+from http.server import BaseHTTPRequestHandler, ThreadingHTTPServer
+from typing import Optional
+
+ROUTES = [
+    (re.compile(r"^/api/v1/models/(\d+)$"), "models"),
+    (re.compile(r"^/api/v1/model-versions/(\d+)$"), "model-versions"),
+]
+
+
+def die(msg: str):
+    print(f"[ERROR] {msg}", file=sys.stderr)
+    sys.exit(1)
+
+
+def make_handler(fixtures: pathlib.Path, origin: str, rate_limit: int, latency: float):
+    hits = []  # request timestamps within the last minute
+
+    class Handler(BaseHTTPRequestHandler):
+        def cors(self):
+            self.send_header("Access-Control-Allow-Origin", origin)
+            self.send_header("Access-Control-Allow-Headers", "Accept, Content-Type")
+            self.send_header("Access-Control-Allow-Private-Network", "true")
+            self.send_header("Vary", "Origin")
+
+        def reply(self, status: int, body: dict, retry_after: Optional[int] = None):
+            data = json.dumps(body).encode("utf-8")
+            self.send_response(status)
+            self.cors()
+            self.send_header("Content-Type", "application/json; charset=utf-8")
+            self.send_header("Content-Length", str(len(data)))
+            if retry_after is not None:
+                self.send_header("Retry-After", str(retry_after))
+            self.end_headers()
+            self.wfile.write(data)
+
+        def do_OPTIONS(self):
+            self.send_response(204)
+            self.cors()
+            self.end_headers()
+
+        def do_GET(self):
+            if latency:
+                time.sleep(latency)
+
+            now = time.time()
+            hits[:] = [t for t in hits if now - t < 60]
+            if rate_limit and len(hits) >= rate_limit:
+                wait = int(60 - (now - hits[0])) + 1
+                return self.reply(429, {"error": "Rate limited (mock)"}, retry_after=wait)
+            hits.append(now)
+
+            path = self.path.split("?", 1)[0]
+            for rx, folder in ROUTES:
+                m = rx.match(path)
+                if not m:
+                    continue
+                f = fixtures / folder / f"{m.group(1)}.json"
+                if not f.is_file():
+                    return self.reply(404, {"error": f"No fixture {folder}/{m.group(1)}.json"})
+                try:
+                    return self.reply(200, json.loads(f.read_text(encoding="utf-8")))
+                except json.JSONDecodeError as e:
+                    return self.reply(500, {"error": f"Bad fixture {f.name}: {e}"})
+            return self.reply(404, {"error": "Unknown route"})
+
+    return Handler
+
+
+def main():
+    ap = argparse.ArgumentParser(description="Mock Civitai API serving JSON fixtures")
+    ap.add_argument("fixtures", help="Directory with models/<id>.json and model-versions/<id>.json")
+    ap.add_argument("--port", type=int, default=8787)
+    ap.add_argument("--origin", default="https://civitai.com", help="Allowed CORS origin (the page running the userscript)")
+    ap.add_argument("--rate-limit", type=int, default=0, help="Requests per minute before answering 429 (0 = unlimited)")
+    ap.add_argument("--latency", type=float, default=0.0, help="Seconds to wait before each response")
+    args = ap.parse_args()
+
+    fixtures = pathlib.Path(args.fixtures).expanduser().resolve()
+    if not fixtures.is_dir():
+        die(f"Fixtures directory not found: {fixtures}")
+
+    handler = make_handler(fixtures, args.origin, args.rate_limit, args.latency)
+    server = ThreadingHTTPServer(("127.0.0.1", args.port), handler)
+    print(f"[INFO] Mock Civitai API on http://localhost:{args.port}/api/v1 (fixtures: {fixtures})")
+    try:
+        server.serve_forever()
+    except KeyboardInterrupt:
+        pass
+    finally:
+        server.server_close()
+
+
+if __name__ == "__main__":
+    main()
@@ -1,12 +1,13 @@
 // ==UserScript==
 // @name         Civitai Scraper Manager (HTML+JSON, Versioned, Editable)
 // @namespace    http://tampermonkey.net/
-// @version      2.3.0
+// @version      3.0.0
 // @description  Full manager for Civitai models: scrape, store, import/export, edit, manage 100+ items.
-// @match        https://civitai.com/models/*
+// @match        https://civitai.com/*
 // @grant        GM_setValue
 // @grant        GM_getValue
 // @grant        GM_download
+// @grant        GM_addValueChangeListener
 // ==/UserScript==
 
 (function () {
@@ -17,24 +18,51 @@
  * =====================================================================================
 
 QueueItem {
+  schemaVersion: 6                 // see SCHEMA_VERSIONS / MIGRATIONS
   key: "modelId:versionId"
   modelId: number
   versionId: string ("000000" allowed)
   name: string
   meta: {
     ModelTitle?: string
-    downloadlinks: string[]
-    metaPairs: { key, value }[] | null
+    downloadlinks: string[]        // urls of the selected variants, what the downloader fetches
+    variants?: {                   // every file the version offers, see DOWNLOAD VARIANTS
+      url, type, format, size, fp,   // type: Model/VAE/Config/Training Data…; size: full/pruned
+      fileName, sizeBytes, primary, selected
+    }[]
+    metaPairs: { key, value }[] | null   // raw strings as scraped
+    fields?: {                     // typed view of metaPairs, see META FIELDS
+      parser, type, subtype, baseModel, publishedAt, updatedAt,   // dates: "YYYY-MM-DD"
+      downloads, likes, generations, reviews: { sentiment, count } | null,
+      hashes: { [type]: hex }, sizeBytes, triggerWords: string[], other: { key, value }[]
+    }
     pageUrl: string
-    copiedMessage?: string | null
+    copiedMessage?: string | null  // raw AIR URN (name kept for download_civitai_json.py)
+    air?: {                        // parsed copiedMessage, null when it doesn't parse
+      ecosystem, type, source, id, version, format,   // format: primary file format, if known
+      origin: "civitai" | "derived" | "manual" | "clipboard" | "unknown"
+    } | null
+    scrapeSource?: "api" | "dom"
   }
   html: string
-  updatedAt: ISOString
+  updatedAt: ISOString              // content/annotation changes; not bumped by Import Results
+  user: {                          // user-owned, survives re-scrapes
+    tags: string[]
+    note: string                   // markdown
+    rating: 1..5 | null
+  }
+  downloads?: { url, relative_path, size_bytes }[]   // appended by download_civitai_json.py;
+                                   // failed attempts: { url, error, failed_at }, see DOWNLOAD STATE
+  downloadsUpdatedAt?: ISOString   // last time Import Results added download records
+  ...any other fields are preserved on import
 }
 
 ===================================================================================== */
 
-const STORAGE_KEY = "civitai_manager_queue";
+const STORAGE_KEY = "civitai_manager_queue"; // legacy single-blob storage, migrated to IndexedDB
+const CIVITAI_API_BASE = "https://civitai.com/api/v1";
+const API_BASE_KEY = "civitai_manager_api_base"; // optional override, e.g. a local mock of the API
+const API_TIMEOUT_MS = 15000;
 
 /* =====================================================================================
  * UTILITIES
@@ -47,11 +75,24 @@ const qsa = (s, r = document) => Array.from(r.querySelectorAll(s));
 
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
+// Safe for text content and quoted attribute values.
 function escapeHtml(s) {
-  return (s || "")
+  return String(s ?? "")
     .replace(/&/g, "&amp;")
     .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;");
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// http(s) URL (relative ones resolved against civitai.com) or null; never javascript:/data:.
+function safeHttpUrl(u) {
+  try {
+    const url = new URL(String(u ?? "").trim(), "https://civitai.com/");
+    return url.protocol === "https:" || url.protocol === "http:" ? url.toString() : null;
+  } catch {
+    return null;
+  }
 }
 
 function slugifyPreserveUnicode(s) {
@@ -88,6 +129,11 @@ function makeKey(modelId, versionId) {
 function clamp(v, min, max) { return Math.max(min, Math.min(max, v)); }
 function safeLower(s) { return (s || "").toString().toLowerCase(); }
 
+// One line of text: control characters (decoded %0A from URLs, pasted CR/LF…) become spaces.
+function singleLine(s) {
+  return String(s ?? "").replace(/[\u0000-\u001f\u007f\u2028\u2029]+/g, " ");
+}
+
 function formatTime(iso) {
   try {
     const d = new Date(iso);
@@ -96,238 +142,3424 @@ function formatTime(iso) {
 }
 
 /* =====================================================================================
- * STORAGE (FIXED FOR MULTI-TAB)
+ * SANITIZE DESCRIPTION HTML
+ * =====================================================================================
+ *
+ * Scraped/imported descriptions are untrusted. They are parsed with DOMParser (inert: no
+ * scripts run, no images load), reduced to an allowlist, and then shown in a sandboxed
+ * iframe without allow-scripts / allow-same-origin plus a CSP — two independent layers.
+ * ===================================================================================== */
+
+const BLOCK_REMOTE_IMAGES_KEY = "civitai_manager_block_remote_images";
+
+const SANITIZE_ALLOWED_TAGS = new Set([
+  "a", "abbr", "b", "blockquote", "br", "code", "dd", "del", "div", "dl", "dt", "em",
+  "h1", "h2", "h3", "h4", "h5", "h6", "hr", "i", "img", "ins", "kbd", "li", "mark", "ol",
+  "p", "pre", "s", "small", "span", "strong", "sub", "sup", "table", "tbody", "td", "tfoot",
+  "th", "thead", "tr", "u", "ul"
+]);
+
+// Removed together with their content; any other unknown tag is unwrapped (content kept).
+const SANITIZE_DROP_TAGS = new Set([
+  "script", "style", "iframe", "frame", "frameset", "object", "embed", "applet", "noscript",
+  "template", "svg", "math", "form", "input", "button", "textarea", "select", "option",
+  "link", "meta", "base", "title", "head", "audio", "video", "source", "track", "canvas"
+]);
+
+const SANITIZE_ALLOWED_ATTRS = {
+  "*": ["title", "colspan", "rowspan", "align"],
+  a: ["href"],
+  img: ["src", "alt", "width", "height"]
+};
+
+const SAFE_DATA_IMAGE_RE = /^data:image\/(png|jpe?g|gif|webp);base64,[a-z0-9+/=\s]+$/i;
+
+function getBlockRemoteImages() {
+  return !!GM_getValue(BLOCK_REMOTE_IMAGES_KEY, false);
+}
+
+/**
+ * Allowlist-sanitize description HTML.
+ * Returns { html, blockedImages } — blockedImages counts remote images replaced by a
+ * placeholder when opts.blockRemoteImages is set.
+ */
+function sanitizeDescriptionHtml(html, { blockRemoteImages = false } = {}) {
+  const doc = new DOMParser().parseFromString(`<body>${html || ""}</body>`, "text/html");
+  let blockedImages = 0;
+
+  const clean = (node) => {
+    Array.from(node.childNodes).forEach(child => {
+      if (child.nodeType === 3) return; // text
+      if (child.nodeType !== 1) { child.remove(); return; } // comments, PIs
+      const tag = child.tagName.toLowerCase();
+      if (SANITIZE_DROP_TAGS.has(tag)) { child.remove(); return; }
+      clean(child);
+      if (!SANITIZE_ALLOWED_TAGS.has(tag)) { child.replaceWith(...Array.from(child.childNodes)); return; }
+
+      const allowed = new Set([...SANITIZE_ALLOWED_ATTRS["*"], ...(SANITIZE_ALLOWED_ATTRS[tag] || [])]);
+      Array.from(child.attributes).forEach(a => { if (!allowed.has(a.name.toLowerCase())) child.removeAttribute(a.name); });
+
+      if (tag === "a") {
+        const href = safeHttpUrl(child.getAttribute("href"));
+        if (href) child.setAttribute("href", href);
+        else child.removeAttribute("href");
+        child.setAttribute("target", "_blank");
+        child.setAttribute("rel", "noopener noreferrer nofollow");
+      } else if (tag === "img") {
+        const raw = (child.getAttribute("src") || "").trim();
+        const remote = safeHttpUrl(raw);
+        if (SAFE_DATA_IMAGE_RE.test(raw)) return;
+        if (!remote) { child.remove(); return; }
+        if (blockRemoteImages) {
+          blockedImages++;
+          const ph = doc.createElement("span");
+          ph.className = "blocked-img";
+          ph.textContent = `[image blocked: ${new URL(remote).hostname}]`;
+          child.replaceWith(ph);
+          return;
+        }
+        child.setAttribute("src", remote);
+        child.setAttribute("referrerpolicy", "no-referrer");
+        child.setAttribute("loading", "lazy");
+      }
+    });
+  };
+
+  clean(doc.body);
+  return { html: doc.body.innerHTML, blockedImages };
+}
+
+// srcdoc for the preview iframe; the CSP forbids scripts, frames, forms and (optionally) remote images.
+function descriptionFrameDoc(safeHtml, { blockRemoteImages = false } = {}) {
+  const csp = [
+    "default-src 'none'",
+    "style-src 'unsafe-inline'",
+    `img-src data:${blockRemoteImages ? "" : " https: http:"}`,
+    "form-action 'none'",
+    "base-uri 'none'"
+  ].join("; ");
+  return `<!doctype html>
+<html><head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="${csp}">
+<style>
+  body { margin: 0; padding: 4px; background: transparent; color: #abb2bf; font: 13px/1.5 ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; word-break: break-word; }
+  a { color: #7fb0ff; }
+  img { max-width: 100%; height: auto; }
+  table { border-collapse: collapse; }
+  td, th { border: 1px solid rgba(255,255,255,.12); padding: 4px 6px; }
+  pre, code { background: #12151a; border-radius: 4px; }
+  .blocked-img { display: inline-block; padding: 2px 6px; border: 1px dashed #5c6370; border-radius: 4px; color: #8b93a5; font-size: 12px; }
+</style>
+</head><body>${safeHtml}</body></html>`;
+}
+
+/**
+ * Render untrusted description HTML into `container` as a sandboxed iframe.
+ * Returns the sanitize result ({ html, blockedImages }).
+ */
+function renderDescriptionPreview(container, html, opts = {}) {
+  const res = sanitizeDescriptionHtml(html, opts);
+  const frame = document.createElement("iframe");
+  frame.setAttribute("sandbox", "allow-popups allow-popups-to-escape-sandbox");
+  frame.setAttribute("referrerpolicy", "no-referrer");
+  frame.title = "Description preview (sandboxed)";
+  frame.style.cssText = "width:100%; height:100%; border:0; background:transparent;";
+  frame.srcdoc = descriptionFrameDoc(res.html, opts);
+  container.innerHTML = "";
+  container.appendChild(frame);
+  return res;
+}
+
+/* =====================================================================================
+ * STORAGE (IndexedDB, per-item records)
+ * =====================================================================================
+ *
+ * items  store: index records = QueueItem without `html` (+ htmlHash / htmlLength)
+ * html   store: { key, html }
+ * trash  store: { key, deletedAt, item } — full deleted item (with html), restorable
+ * history store: { id, key, takenAt, reason, snapshot } — earlier scraped content per key
+ *
+ * The in-memory queue only holds index records; description HTML is loaded on demand
+ * (detail view, export, import diff). Each write touches only the affected records in
+ * one transaction, then bumps STORAGE_REV_KEY so other tabs reload.
  * ===================================================================================== */
 
-async function loadQueue() {
-  const raw = await GM_getValue(STORAGE_KEY, "[]");
-  try { return JSON.parse(raw); }
-  catch { return []; }
+const DB_NAME = "civitai_manager";
+const DB_VERSION = 3;
+const STORE_ITEMS = "items";
+const STORE_HTML = "html";
+const STORE_TRASH = "trash";
+const STORE_HISTORY = "history";
+const HISTORY_LIMIT = 10;
+const TRASH_RETENTION_KEY = "civitai_manager_trash_days";
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const STORAGE_REV_KEY = "civitai_manager_rev";
+const LEGACY_MIGRATED_KEY = "civitai_manager_migrated_to_idb";
+const LEGACY_BACKUP_KEY = "civitai_manager_queue_backup"; // pre-IndexedDB blob, kept after migration
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE_ITEMS)) db.createObjectStore(STORE_ITEMS, { keyPath: "key" });
+      if (!db.objectStoreNames.contains(STORE_HTML)) db.createObjectStore(STORE_HTML, { keyPath: "key" });
+      if (!db.objectStoreNames.contains(STORE_TRASH)) db.createObjectStore(STORE_TRASH, { keyPath: "key" });
+      if (!db.objectStoreNames.contains(STORE_HISTORY)) {
+        db.createObjectStore(STORE_HISTORY, { keyPath: "id", autoIncrement: true }).createIndex("key", "key");
+      }
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // Another tab upgraded the schema: drop our handle so the next call reopens.
+      db.onversionchange = () => { db.close(); dbPromise = null; };
+      resolve(db);
+    };
+    req.onerror = () => { dbPromise = null; reject(req.error || new Error("IndexedDB open failed")); };
+    req.onblocked = () => log("IndexedDB upgrade blocked by another tab");
+  });
+  return dbPromise;
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Run fn(tx) in one transaction; resolves with fn's result once the transaction commits.
+async function idbTx(storeNames, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+    Promise.resolve(fn(tx)).then(r => { result = r; }, e => { try { tx.abort(); } catch {} reject(e); });
+  });
+}
+
+// FNV-1a, enough to tell "description changed" without loading it.
+function hashString(s) {
+  let h = 0x811c9dc5;
+  const str = s || "";
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
+
+function htmlHashOf(item) {
+  return typeof item?.html === "string" ? hashString(item.html) : (item?.htmlHash || hashString(""));
+}
+
+// QueueItem -> { record, html }; html is undefined when the item carries no html field.
+function splitItem(item) {
+  const { html, ...rest } = item;
+  if (typeof html !== "string") return { record: rest, html: undefined };
+  return {
+    record: { ...rest, htmlHash: hashString(html), htmlLength: html.length },
+    html
+  };
+}
+
+function joinItem(record, html) {
+  const { htmlHash, htmlLength, ...rest } = record;
+  return { ...rest, html: html || "" };
 }
 
-async function saveQueue(queue) {
-  await GM_setValue(STORAGE_KEY, JSON.stringify(queue));
+function notifyStorageChanged() {
+  try { GM_setValue(STORAGE_REV_KEY, `${Date.now()}:${Math.random().toString(36).slice(2)}`); } catch {}
 }
 
-// Robust: always return array
+// Robust: always return array (index records, no html)
 async function loadQueueSafe() {
-  const raw = await GM_getValue(STORAGE_KEY, "[]");
   try {
-    const arr = JSON.parse(raw);
-    return Array.isArray(arr) ? arr : [];
-  } catch {
+    const rows = await idbTx([STORE_ITEMS], "readonly", tx => idbRequest(tx.objectStore(STORE_ITEMS).getAll()));
+    return Array.isArray(rows) ? rows.filter(x => x && x.key) : [];
+  } catch (e) {
+    log(`loadQueueSafe failed: ${e?.message || e}`);
     return [];
   }
 }
 
-// Merge by key (last-write-wins for duplicates)
-function mergeQueuesByKey(base, incoming) {
-  const map = new Map();
-  (base || []).forEach(it => { if (it && it.key) map.set(it.key, it); });
-  (incoming || []).forEach(it => { if (it && it.key) map.set(it.key, it); });
-  return Array.from(map.values());
+async function loadItemHtml(key) {
+  const row = await idbTx([STORE_HTML], "readonly", tx => idbRequest(tx.objectStore(STORE_HTML).get(key)));
+  return row?.html || "";
+}
+
+// Full QueueItems (with html); all items when `keys` is omitted.
+async function loadFullItems(keys) {
+  return idbTx([STORE_ITEMS, STORE_HTML], "readonly", async tx => {
+    const items = tx.objectStore(STORE_ITEMS);
+    const html = tx.objectStore(STORE_HTML);
+    const records = keys
+      ? (await Promise.all(keys.map(k => idbRequest(items.get(k))))).filter(Boolean)
+      : await idbRequest(items.getAll());
+    const htmlRows = await Promise.all(records.map(r => idbRequest(html.get(r.key))));
+    return records.map((r, i) => joinItem(r, htmlRows[i]?.html));
+  });
+}
+
+function putItemsInTx(tx, items) {
+  const st = tx.objectStore(STORE_ITEMS);
+  const hs = tx.objectStore(STORE_HTML);
+  (items || []).forEach(it => {
+    if (!it || !it.key) return;
+    const { record, html } = splitItem(it);
+    st.put(record);
+    if (html !== undefined) hs.put({ key: it.key, html });
+  });
 }
 
-// Atomic-ish upsert: read-latest → merge → write
+// Upsert one item (html row untouched when the item has no html field)
 async function upsertItemToStorage(item) {
-  const latest = await loadQueueSafe();
-  const merged = mergeQueuesByKey(latest, [item]);
-  await GM_setValue(STORAGE_KEY, JSON.stringify(merged));
-  return merged;
+  await idbTx([STORE_ITEMS, STORE_HTML], "readwrite", tx => putItemsInTx(tx, [item]));
+  notifyStorageChanged();
+  return loadQueueSafe();
 }
 
-// Atomic-ish delete: read-latest → filter → write
 async function deleteKeyFromStorage(key) {
-  const latest = await loadQueueSafe();
-  const next = latest.filter(x => x && x.key !== key);
-  await GM_setValue(STORAGE_KEY, JSON.stringify(next));
-  return next;
+  return deleteKeysFromStorage([key]);
+}
+
+/**
+ * Bulk delete: one transaction, one change notification. Deleted items are moved to the
+ * trash store (a later delete of the same key replaces its trash copy).
+ */
+async function deleteKeysFromStorage(keys) {
+  const deletedAt = new Date().toISOString();
+  await idbTx([STORE_ITEMS, STORE_HTML, STORE_TRASH], "readwrite", async tx => {
+    const st = tx.objectStore(STORE_ITEMS);
+    const hs = tx.objectStore(STORE_HTML);
+    const trash = tx.objectStore(STORE_TRASH);
+    const records = await Promise.all(keys.map(k => idbRequest(st.get(k))));
+    const htmlRows = await Promise.all(keys.map(k => idbRequest(hs.get(k))));
+    keys.forEach((key, i) => {
+      if (records[i]) trash.put({ key, deletedAt, item: joinItem(records[i], htmlRows[i]?.html) });
+      st.delete(key);
+      hs.delete(key);
+    });
+  });
+  notifyStorageChanged();
+  return loadQueueSafe();
+}
+
+// Trash entries, newest deletion first
+async function loadTrash() {
+  try {
+    const rows = await idbTx([STORE_TRASH], "readonly", tx => idbRequest(tx.objectStore(STORE_TRASH).getAll()));
+    return (Array.isArray(rows) ? rows : [])
+      .filter(x => x && x.key && x.item)
+      .sort((a, b) => timeOf(b.deletedAt) - timeOf(a.deletedAt));
+  } catch (e) {
+    log(`loadTrash failed: ${e?.message || e}`);
+    return [];
+  }
+}
+
+async function countTrash() {
+  try {
+    return await idbTx([STORE_TRASH], "readonly", tx => idbRequest(tx.objectStore(STORE_TRASH).count()));
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Move trash entries back into the queue. A key that was re-added since the delete is
+ * left in the trash (the live item wins). Items trashed under an older schema are
+ * migrated on the way back. Returns { queue, restored, skipped }.
+ */
+async function restoreFromTrash(keys) {
+  const restored = [];
+  const skipped = [];
+  await idbTx([STORE_ITEMS, STORE_HTML, STORE_TRASH], "readwrite", async tx => {
+    const st = tx.objectStore(STORE_ITEMS);
+    const trash = tx.objectStore(STORE_TRASH);
+    const entries = await Promise.all(keys.map(k => idbRequest(trash.get(k))));
+    const live = await Promise.all(keys.map(k => idbRequest(st.get(k))));
+    const items = [];
+    entries.forEach((entry, i) => {
+      if (!entry) return;
+      if (live[i]) { skipped.push(entry.key); return; }
+      const { item, tooNew } = migrateItem(entry.item);
+      if (tooNew) { skipped.push(entry.key); return; }
+      items.push({ ...item, key: entry.key });
+      trash.delete(entry.key);
+      restored.push(entry.key);
+    });
+    putItemsInTx(tx, items);
+  });
+  if (restored.length) notifyStorageChanged();
+  return { queue: await loadQueueSafe(), restored, skipped };
+}
+
+// Permanently remove trash entries (all of them when keys is omitted) and their history
+async function emptyTrash(keys) {
+  await idbTx([STORE_ITEMS, STORE_TRASH, STORE_HISTORY], "readwrite", async tx => {
+    const trash = tx.objectStore(STORE_TRASH);
+    const purged = keys || await idbRequest(trash.getAllKeys());
+    purged.forEach(k => trash.delete(k));
+
+    // History of a key that is neither live nor in the trash can't be reached any more.
+    const live = await Promise.all(purged.map(k => idbRequest(tx.objectStore(STORE_ITEMS).count(k))));
+    const hist = tx.objectStore(STORE_HISTORY);
+    const orphanIds = await Promise.all(purged.map((k, i) => live[i] ? [] : idbRequest(hist.index("key").getAllKeys(k))));
+    orphanIds.flat().forEach(id => hist.delete(id));
+  });
+  notifyStorageChanged();
+}
+
+function getTrashRetentionDays() {
+  const n = Number(GM_getValue(TRASH_RETENTION_KEY, DEFAULT_TRASH_RETENTION_DAYS));
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+function setTrashRetentionDays(days) {
+  GM_setValue(TRASH_RETENTION_KEY, Math.max(0, Math.floor(Number(days) || 0)));
+}
+
+// Drop trash entries older than the retention period (0 = keep forever). Returns the count.
+async function purgeExpiredTrash(days = getTrashRetentionDays()) {
+  if (!days) return 0;
+  const cutoff = Date.now() - days * 86400000;
+  const expired = (await loadTrash()).filter(e => timeOf(e.deletedAt) < cutoff).map(e => e.key);
+  if (expired.length) await emptyTrash(expired);
+  return expired.length;
 }
 
-// Atomic-ish merge import: read-latest → merge(all) → write
+// Merge import: one transaction for all items, last-write-wins per key
 async function mergeItemsIntoStorage(items) {
-  const latest = await loadQueueSafe();
-  const merged = mergeQueuesByKey(latest, items || []);
-  await GM_setValue(STORAGE_KEY, JSON.stringify(merged));
-  return merged;
+  await idbTx([STORE_ITEMS, STORE_HTML], "readwrite", tx => putItemsInTx(tx, items));
+  notifyStorageChanged();
+  return loadQueueSafe();
 }
 
-/* =====================================================================================
- * SCRAPE CURRENT PAGE
- * ===================================================================================== */
+/**
+ * Write a previewed import plan. The keys are re-read inside the write transaction and the
+ * plan is resolved against that copy (see resolveImportPlan).
+ * Returns { queue, remerged } — keys that changed locally while the preview was open.
+ */
+async function applyImportPlan(plan) {
+  const remerged = [];
+  const keys = plan.filter(e => e.policy !== "local").map(e => e.key);
+  if (!keys.length) return { queue: await loadQueueSafe(), remerged };
+  await idbTx([STORE_ITEMS, STORE_HTML], "readwrite", async tx => {
+    const recs = await Promise.all(keys.map(k => idbRequest(tx.objectStore(STORE_ITEMS).get(k))));
+    const htmls = await Promise.all(keys.map((k, i) => recs[i] ? idbRequest(tx.objectStore(STORE_HTML).get(k)) : null));
+    const latest = new Map(keys.map((k, i) => [k, recs[i] ? joinItem(recs[i], htmls[i]?.html) : null]));
+    putItemsInTx(tx, resolveImportPlan(plan, latest, remerged));
+  });
+  notifyStorageChanged();
+  return { queue: await loadQueueSafe(), remerged };
+}
+
+// Fields the scraper never produces; a re-scrape must carry them over from the stored copy.
+const USER_OWNED_FIELDS = ["user", "downloads", "downloadsUpdatedAt"];
+
+/**
+ * Save freshly scraped items without wiping user-owned fields (annotations, download
+ * records) of existing items. When the scraped content changed, the previous content is
+ * kept as a history snapshot. Read and write happen in the same transaction.
+ */
+async function upsertScrapedItems(items) {
+  await idbTx([STORE_ITEMS, STORE_HTML, STORE_HISTORY], "readwrite", async tx => {
+    const st = tx.objectStore(STORE_ITEMS);
+    const hs = tx.objectStore(STORE_HTML);
+    const existing = await Promise.all(items.map(it => idbRequest(st.get(it.key))));
+    const prevHtml = await Promise.all(items.map((it, i) => existing[i] ? idbRequest(hs.get(it.key)) : null));
+    const merged = items.map((it, i) => {
+      const prev = existing[i];
+      if (!prev) return it;
+      const out = { ...it };
+      USER_OWNED_FIELDS.forEach(f => { if (prev[f] !== undefined) out[f] = prev[f]; });
+      if (Array.isArray(it.meta?.variants)) out.meta = carryVariantSelection(it.meta, prev.meta);
+      return out;
+    });
+    for (let i = 0; i < items.length; i++) {
+      if (!existing[i]) continue;
+      const before = snapshotOf(joinItem(existing[i], prevHtml[i]?.html));
+      if (snapshotFingerprint(before) === snapshotFingerprint(snapshotOf(merged[i]))) continue;
+      await addSnapshotInTx(tx, items[i].key, before, existing[i].updatedAt, "rescrape");
+    }
+    putItemsInTx(tx, merged);
+  });
+  notifyStorageChanged();
+  return loadQueueSafe();
+}
+
+/* ---------- Scrape history ---------- */
+
+// Scraped content only; user-owned fields and timestamps are not part of a snapshot.
+// meta.fields is left out: it is derived from metaPairs and rebuilt on restore.
+function snapshotOf(item) {
+  const { scrapeSource, fields, ...meta } = item?.meta || {};
+  return {
+    schemaVersion: item?.schemaVersion ?? SCHEMA_VERSION,
+    name: item?.name || "",
+    html: typeof item?.html === "string" ? item.html : "",
+    meta
+  };
+}
+
+// Counters change on every scrape; they alone don't make a new snapshot.
+const SNAPSHOT_VOLATILE_META = ["downloads", "likes", "stats", "reviews"];
+
+function snapshotFingerprint(snap) {
+  const { pageUrl, ...meta } = snap.meta || {};
+  const pairs = (Array.isArray(meta.metaPairs) ? meta.metaPairs : [])
+    .filter(p => !SNAPSHOT_VOLATILE_META.includes(safeLower(p?.key)));
+  return stableStringify({ name: snap.name, html: hashString(snap.html), meta: { ...meta, metaPairs: pairs } });
+}
+
+// Append one snapshot and drop the oldest ones beyond HISTORY_LIMIT.
+async function addSnapshotInTx(tx, key, snapshot, takenAt, reason) {
+  const hist = tx.objectStore(STORE_HISTORY);
+  hist.add({ key, takenAt: takenAt || new Date().toISOString(), reason, snapshot });
+  const rows = await idbRequest(hist.index("key").getAll(key));
+  rows
+    .sort((a, b) => b.id - a.id)
+    .slice(HISTORY_LIMIT)
+    .forEach(r => hist.delete(r.id));
+}
+
+// Snapshots for one key, newest first
+async function loadHistory(key) {
+  const rows = await idbTx([STORE_HISTORY], "readonly", tx => idbRequest(tx.objectStore(STORE_HISTORY).index("key").getAll(key)));
+  return (rows || []).sort((a, b) => b.id - a.id);
+}
+
+async function countHistory(key) {
+  try {
+    return await idbTx([STORE_HISTORY], "readonly", tx => idbRequest(tx.objectStore(STORE_HISTORY).index("key").count(key)));
+  } catch {
+    return 0;
+  }
+}
 
 /**
- * Try to locate the "copy" button inside the original metadata table and read the copied message.
- * - Locate by span class: "m_8d3afb97 mantine-ActionIcon-icon"
- * - Some pages have 2 buttons; take the last one.
- * - Best-effort: click the button, then read clipboard.
- *   If clipboard access fails, returns null.
+ * Put a snapshot's content back into the live item. The content being replaced is
+ * snapshotted first, so a restore can itself be undone from the history.
  */
-async function tryGetCopiedMessageFromMetaTable() {
+async function restoreSnapshot(key, snapshotId) {
+  await idbTx([STORE_ITEMS, STORE_HTML, STORE_HISTORY], "readwrite", async tx => {
+    const st = tx.objectStore(STORE_ITEMS);
+    const rec = await idbRequest(st.get(key));
+    if (!rec) throw new Error(`${key} no longer exists`);
+    const row = await idbRequest(tx.objectStore(STORE_HISTORY).get(snapshotId));
+    if (!row || row.key !== key) throw new Error("Snapshot not found");
+    const htmlRow = await idbRequest(tx.objectStore(STORE_HTML).get(key));
+    const current = joinItem(rec, htmlRow?.html);
+
+    await addSnapshotInTx(tx, key, snapshotOf(current), rec.updatedAt, "before-restore");
+    const { item } = migrateItem({ ...current, name: row.snapshot.name, html: row.snapshot.html, meta: { ...row.snapshot.meta }, schemaVersion: row.snapshot.schemaVersion });
+    syncMetaFields(item.meta);
+    syncVariants(item.meta);
+    putItemsInTx(tx, [{ ...item, key, updatedAt: new Date().toISOString() }]);
+  });
+  notifyStorageChanged();
+  return loadQueueSafe();
+}
+
+/**
+ * Atomic read-modify-write of one index record (html untouched).
+ * `patchFn(record)` returns the new record. Throws if the key no longer exists.
+ */
+async function patchItemInStorage(key, patchFn) {
+  await idbTx([STORE_ITEMS], "readwrite", async tx => {
+    const st = tx.objectStore(STORE_ITEMS);
+    const rec = await idbRequest(st.get(key));
+    if (!rec) throw new Error(`${key} no longer exists`);
+    const next = patchFn(rec);
+    st.put({ ...next, key: rec.key });
+  });
+  notifyStorageChanged();
+  return loadQueueSafe();
+}
+
+/**
+ * Bulk form of patchItemInStorage: one transaction for all keys. Keys deleted in the
+ * meantime are skipped. Returns { queue, patched }.
+ */
+async function patchItemsInStorage(keys, patchFn) {
+  let patched = 0;
+  await idbTx([STORE_ITEMS], "readwrite", async tx => {
+    const st = tx.objectStore(STORE_ITEMS);
+    const recs = await Promise.all(keys.map(k => idbRequest(st.get(k))));
+    recs.forEach(rec => {
+      if (!rec) return;
+      st.put({ ...patchFn(rec), key: rec.key });
+      patched++;
+    });
+  });
+  notifyStorageChanged();
+  return { queue: await loadQueueSafe(), patched };
+}
+
+/**
+ * One-time move of the old single-blob GM storage into IndexedDB. Items already in
+ * IndexedDB win. The blob is never deleted: once the records are committed it is moved
+ * to LEGACY_BACKUP_KEY, the only copy outside civitai.com's site storage.
+ * Returns the number of migrated items (0 when nothing to do).
+ */
+async function migrateLegacyStorage() {
+  if (GM_getValue(LEGACY_MIGRATED_KEY, false)) return 0;
+
+  let legacy = [];
   try {
-    const tbody = qs("tbody.m_b2404537");
-    if (!tbody) return null;
+    const arr = JSON.parse(GM_getValue(STORAGE_KEY, "[]"));
+    legacy = Array.isArray(arr) ? arr.filter(x => x && x.key) : [];
+  } catch {}
+
+  if (legacy.length) {
+    const existing = new Set((await loadQueueSafe()).map(x => x.key));
+    const fresh = legacy.filter(x => !existing.has(x.key));
+    await idbTx([STORE_ITEMS, STORE_HTML], "readwrite", tx => putItemsInTx(tx, fresh));
+    const stored = new Set((await loadQueueSafe()).map(x => x.key));
+    if (!legacy.every(x => stored.has(x.key))) throw new Error("Legacy migration incomplete; old data kept");
+  }
 
-    const iconSpans = qsa("span.m_8d3afb97.mantine-ActionIcon-icon", tbody);
-    if (!iconSpans.length) return null;
+  if (legacy.length) GM_setValue(LEGACY_BACKUP_KEY, GM_getValue(STORAGE_KEY, "[]"));
+  GM_setValue(STORAGE_KEY, "[]");
+  GM_setValue(LEGACY_MIGRATED_KEY, true);
+  if (legacy.length) notifyStorageChanged();
+  return legacy.length;
+}
 
-    const lastIcon = iconSpans[iconSpans.length - 1];
-    const btn = lastIcon.closest("button");
-    if (!btn) return null;
+/* =====================================================================================
+ * SCHEMA VERSIONS / MIGRATIONS
+ * =====================================================================================
+ *
+ * Items without `schemaVersion` are v1 (scripts <= 2.3.0). Each migration upgrades one
+ * step and pushes human-readable notes (no keys, so they can be counted in the log).
+ * Migrations must work on index records too (no `html` field).
+ * ===================================================================================== */
 
-    // Attempt to copy
-    btn.click();
-    await sleep(80);
+const SCHEMA_VERSION = 6;
 
-    if (navigator.clipboard && navigator.clipboard.readText) {
-      const txt = await navigator.clipboard.readText();
-      const out = (txt || "").trim();
-      return out || null;
+const ITEM_MIGRATIONS = [
+  {
+    to: 2,
+    up(item, notes) {
+      if (typeof item.modelId === "string" && /^\d+$/.test(item.modelId)) {
+        item.modelId = parseInt(item.modelId, 10);
+        notes.push("modelId string → number");
+      }
+      if (typeof item.versionId === "number") {
+        item.versionId = String(item.versionId);
+        notes.push("versionId number → string");
+      }
+      if (!item.meta || typeof item.meta !== "object" || Array.isArray(item.meta)) {
+        item.meta = {};
+        notes.push("meta created");
+      }
+      const meta = item.meta;
+      if (!Array.isArray(meta.downloadlinks)) {
+        meta.downloadlinks = [];
+        notes.push("meta.downloadlinks defaulted to []");
+      }
+      if (!Array.isArray(meta.metaPairs) && meta.metaPairs !== null) {
+        meta.metaPairs = null;
+        notes.push("meta.metaPairs defaulted to null");
+      }
+      if (typeof meta.pageUrl !== "string" || !meta.pageUrl) {
+        meta.pageUrl = item.versionId && item.versionId !== "000000"
+          ? `https://civitai.com/models/${item.modelId}?modelVersionId=${item.versionId}`
+          : `https://civitai.com/models/${item.modelId}`;
+        notes.push("meta.pageUrl derived from ids");
+      }
+      if (meta.copiedMessage === undefined || meta.copiedMessage === "") {
+        meta.copiedMessage = null;
+        notes.push("meta.copiedMessage defaulted to null");
+      }
+      // Legacy HTML imports used the key as a name placeholder.
+      if (!item.name || item.name === item.key) {
+        item.name = `model_${item.modelId}`;
+        notes.push("name placeholder → model_<id>");
+      }
+      if (meta.ModelTitle === undefined) {
+        meta.ModelTitle = /^model_\d+$/.test(item.name) ? null : slugifyPreserveUnicode(item.name);
+        notes.push("meta.ModelTitle derived from name");
+      }
+      if ("html" in item && typeof item.html !== "string") {
+        item.html = "";
+        notes.push("html defaulted to \"\"");
+      }
+      return item;
+    }
+  },
+  {
+    to: 3,
+    up(item, notes) {
+      const u = (item.user && typeof item.user === "object" && !Array.isArray(item.user)) ? item.user : null;
+      if (!u) notes.push("user annotations added (tags/note/rating)");
+      item.user = {
+        tags: normalizeTags(u?.tags),
+        note: typeof u?.note === "string" ? u.note : "",
+        rating: normalizeRating(u?.rating)
+      };
+      return item;
+    }
+  },
+  {
+    to: 4,
+    up(item, notes) {
+      const meta = item.meta || (item.meta = {});
+      // Before v4 the DOM scraper read the URN from the clipboard; API scrapes didn't record how.
+      const origin = meta.scrapeSource === "api" ? "unknown" : "clipboard";
+      meta.air = airPartsFor(meta.copiedMessage, origin);
+      notes.push(meta.air ? "meta.air parsed from copiedMessage" : "meta.air set to null (no valid AIR)");
+      return item;
+    }
+  },
+  {
+    to: 5,
+    up(item, notes) {
+      syncMetaFields(item.meta || (item.meta = {}));
+      notes.push("meta.fields parsed from metaPairs");
+      return item;
+    }
+  },
+  {
+    to: 6,
+    up(item, notes) {
+      const meta = item.meta || (item.meta = {});
+      const before = Array.isArray(meta.downloadlinks) ? meta.downloadlinks.length : 0;
+      // Everything stays selected so existing exports keep the same links.
+      syncVariants(meta);
+      notes.push("meta.variants built from downloadlinks");
+      if (meta.downloadlinks.length < before) notes.push("duplicate download links merged");
+      return item;
     }
-    return null;
-  } catch {
-    return null;
   }
+];
+
+function schemaVersionOf(item) {
+  return Number.isInteger(item?.schemaVersion) ? item.schemaVersion : 1;
 }
 
-async function scrapeCurrentPage() {
-  const ids = parseModelAndVersionFromUrl();
-  if (!ids) throw new Error("Cannot parse model id");
+/**
+ * Upgrade one item to SCHEMA_VERSION.
+ * Returns { item, notes, changed, tooNew }; `tooNew` items are returned untouched.
+ */
+function migrateItem(item) {
+  const from = schemaVersionOf(item);
+  if (from > SCHEMA_VERSION) return { item, notes: [], changed: false, tooNew: true };
+  if (from === SCHEMA_VERSION) return { item, notes: [], changed: false, tooNew: false };
+
+  let out = JSON.parse(JSON.stringify(item));
+  const notes = [];
+  ITEM_MIGRATIONS.forEach(m => {
+    if (m.to <= from) return;
+    out = m.up(out, notes) || out;
+    out.schemaVersion = m.to;
+  });
+  notes.unshift(`schema v${from} → v${SCHEMA_VERSION}`);
+  return { item: out, notes, changed: true, tooNew: false };
+}
 
-  const h1 = qs("h1.__slug_titleF0Iq");
-  const modelTitleRaw = h1?.textContent?.trim() || null;
-  const ModelTitle = slugifyPreserveUnicode(modelTitleRaw);
+// ["a", "b", "a"] -> "a ×2; b"
+function summarizeNotes(notes) {
+  const counts = new Map();
+  notes.forEach(n => counts.set(n, (counts.get(n) || 0) + 1));
+  return Array.from(counts.entries()).map(([n, c]) => (c > 1 ? `${n} ×${c}` : n)).join("; ");
+}
 
-  const descNodes = qsa(".TypographyStylesWrapper_root__qXSUB.RenderHtml_htmlRenderer__z8vxT");
-  if (descNodes.length === 0) throw new Error("Description not found");
+// Exports carry the schema they were written with; refuse anything newer than us.
+function assertImportSchema(fileSchemaVersion, scriptVersion) {
+  if (fileSchemaVersion === undefined || fileSchemaVersion === null) return;
+  const v = parseInt(fileSchemaVersion, 10);
+  if (Number.isInteger(v) && v > SCHEMA_VERSION) {
+    throw new Error(
+      `This export uses data schema v${v}${scriptVersion ? ` (script ${scriptVersion})` : ""}, ` +
+      `but this script only understands up to v${SCHEMA_VERSION}. Update the userscript before importing.`
+    );
+  }
+}
 
-  const html = descNodes.slice(0, 2).map(n => n.innerHTML).join("\n<!-- ---- -->\n");
+function currentScriptVersion() {
+  try { return GM_info?.script?.version || null; } catch { return null; }
+}
 
-  const downloadlinks = qsa('a[href*="/api/download/models/"]')
-    .map(a => a.getAttribute("href"))
-    .filter(Boolean)
-    .map(h => new URL(h.replace(/&amp;/g, "&"), location.origin).toString());
+/**
+ * Upgrade stored items in place (index records only; html untouched).
+ * Returns { migrated, notes, tooNew }.
+ */
+async function migrateStoredItems() {
+  const records = await loadQueueSafe();
+  const changed = [];
+  const notes = [];
+  let tooNew = 0;
+  records.forEach(r => {
+    const res = migrateItem(r);
+    if (res.tooNew) tooNew++;
+    if (!res.changed) return;
+    changed.push(res.item);
+    notes.push(...res.notes);
+  });
+  if (changed.length) await mergeItemsIntoStorage(changed);
+  return { migrated: changed.length, notes, tooNew };
+}
 
-  if (!downloadlinks.length) throw new Error("Download link not found");
+/* =====================================================================================
+ * CIVITAI API
+ * ===================================================================================== */
 
-  const metaPairs = [];
-  const tbody = qs("tbody.m_b2404537");
-  if (tbody) {
-    qsa("tr", tbody).forEach(tr => {
-      const tds = qsa("td", tr);
-      if (tds.length >= 2)
-        metaPairs.push({
-          key: tds[0].textContent.trim() || null,
-          value: tds[1].textContent.trim() || null
-        });
+class HttpError extends Error {
+  constructor(status, url, retryAfterMs = null) {
+    super(`HTTP ${status} for ${url}`);
+    this.name = "HttpError";
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Configured API base without trailing slash; falls back to the real Civitai API.
+function apiBase() {
+  const v = String(GM_getValue(API_BASE_KEY, "") || "").trim().replace(/\/+$/, "");
+  return v || CIVITAI_API_BASE;
+}
+
+// "Retry-After" is either seconds or an HTTP date
+function parseRetryAfter(v) {
+  if (!v) return null;
+  const secs = Number(v);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const t = new Date(v).getTime();
+  return isNaN(t) ? null : Math.max(0, t - Date.now());
+}
+
+async function fetchJson(url) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), API_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, {
+      // Cookies only go to civitai.com itself, never to a configured mock.
+      credentials: new URL(url, location.origin).origin === location.origin ? "include" : "omit",
+      headers: { Accept: "application/json" },
+      signal: ctrl.signal
     });
+    if (!res.ok) throw new HttpError(res.status, url, parseRetryAfter(res.headers.get("Retry-After")));
+    return await res.json();
+  } catch (e) {
+    if (e?.name === "AbortError") throw new Error(`Timeout for ${url}`);
+    throw e;
+  } finally {
+    clearTimeout(timer);
   }
+}
 
-  const copiedMessage = await tryGetCopiedMessageFromMetaTable();
+function fetchModelJson(modelId) {
+  return fetchJson(`${apiBase()}/models/${encodeURIComponent(modelId)}`);
+}
 
-  const key = makeKey(ids.modelId, ids.versionId);
+function fetchModelVersionJson(versionId) {
+  return fetchJson(`${apiBase()}/model-versions/${encodeURIComponent(versionId)}`);
+}
+
+// Civitai model type -> AIR type segment
+const AIR_TYPE_BY_MODEL_TYPE = {
+  checkpoint: "checkpoint",
+  textualinversion: "embedding",
+  hypernetwork: "hypernet",
+  aestheticgradient: "ag",
+  lora: "lora",
+  locon: "lycoris",
+  lycoris: "lycoris",
+  dora: "dora",
+  controlnet: "controlnet",
+  upscaler: "upscaler",
+  motionmodule: "motion",
+  vae: "vae",
+  poses: "pose",
+  wildcards: "wildcards",
+  workflows: "workflow",
+  detection: "detection",
+  other: "other"
+};
+
+// Civitai base model -> AIR ecosystem segment (first matching prefix wins)
+const AIR_ECOSYSTEM_BY_BASE_MODEL = [
+  [/^sd\s*1/i, "sd1"],
+  [/^sd\s*2/i, "sd2"],
+  [/^sd\s*3/i, "sd3"],
+  [/^sdxl/i, "sdxl"],
+  [/^pony/i, "pony"],
+  [/^illustrious/i, "illustrious"],
+  [/^noobai/i, "noobai"],
+  [/^flux\.?1/i, "flux1"],
+  [/^hunyuan\s*video/i, "hyv1"],
+  [/^wan\s*video/i, "wanvideo"],
+  [/^hidream/i, "hidream"]
+];
+
+function airTypeFromModelType(modelType) {
+  const k = safeLower(modelType).replace(/[^a-z0-9]/g, "");
+  return AIR_TYPE_BY_MODEL_TYPE[k] || k || null;
+}
+
+function airEcosystemFromBaseModel(baseModel) {
+  const s = (baseModel || "").trim();
+  if (!s) return null;
+  for (const [re, eco] of AIR_ECOSYSTEM_BY_BASE_MODEL) {
+    if (re.test(s)) return eco;
+  }
+  return safeLower(s).replace(/[^a-z0-9]/g, "") || null;
+}
+
+/**
+ * Build an AIR URN in the same grammar the Python downloader parses:
+ *   urn:air:<ecosystem>:<type>:civitai:<modelId>@<versionId>
+ * Prefers the `air` field Civitai returns on model versions when present.
+ */
+function buildAirFromApi(model, version) {
+  if (typeof version?.air === "string" && version.air.startsWith("urn:air:")) return version.air;
+  const eco = airEcosystemFromBaseModel(version?.baseModel);
+  const type = airTypeFromModelType(model?.type || version?.model?.type);
+  if (!eco || !type || !model?.id) return null;
+  return `urn:air:${eco}:${type}:civitai:${model.id}${version?.id ? `@${version.id}` : ""}`;
+}
+
+// Same grammar as _AIR_URN_RE in download_civitai_json.py; keep the two in sync.
+const AIR_URN_RE = /^urn:air:([a-z0-9]+):([a-z0-9]+):([a-z0-9]+):(\d+)(?:@(\d+))?(?:\.([A-Za-z0-9]+))?$/;
 
+// "urn:air:sdxl:checkpoint:civitai:123@456" -> { ecosystem, type, source, id, version, format } | null
+function parseAirUrn(s) {
+  if (typeof s !== "string") return null;
+  const m = s.trim().match(AIR_URN_RE);
+  if (!m) return null;
   return {
-    key,
-    modelId: ids.modelId,
-    versionId: ids.versionId,
-    name: modelTitleRaw || `model_${ids.modelId}`,
-    html,
-    meta: {
-      ModelTitle,
-      downloadlinks,
-      metaPairs,
-      pageUrl: location.href,
-      copiedMessage
-    },
-    updatedAt: new Date().toISOString()
+    ecosystem: m[1],
+    type: m[2],
+    source: m[3],
+    id: m[4],
+    version: m[5] || null,
+    format: m[6] || null
   };
 }
 
-/* =====================================================================================
- * IMPORT
- * ===================================================================================== */
+// How meta.air was obtained (shown in the overlay)
+const AIR_ORIGINS = {
+  civitai: "published by Civitai",
+  derived: "derived from type / base model / ids",
+  manual: "entered manually",
+  clipboard: "copied from the page (older script)",
+  unknown: "unknown (older script)"
+};
+
+// Civitai file format -> AIR format segment
+const AIR_FORMAT_BY_FILE_FORMAT = {
+  safetensor: "safetensors",
+  safetensors: "safetensors",
+  pickletensor: "ckpt",
+  gguf: "gguf",
+  diffusers: "diffusers",
+  coreml: "coreml",
+  onnx: "onnx"
+};
+
+function airFormatFromFile(file) {
+  const f = safeLower(file?.metadata?.format).replace(/[^a-z]/g, "");
+  if (AIR_FORMAT_BY_FILE_FORMAT[f]) return AIR_FORMAT_BY_FILE_FORMAT[f];
+  const ext = safeLower(file?.name).match(/\.([a-z0-9]+)$/)?.[1];
+  return ext && Object.values(AIR_FORMAT_BY_FILE_FORMAT).includes(ext) ? ext : null;
+}
+
+// Page "Type" text ("Checkpoint Merge", "Textual Inversion", "LoRA") -> AIR type, or null.
+function airTypeFromTypeText(text) {
+  const words = String(text || "").trim().split(/\s+/).filter(Boolean);
+  for (let n = words.length; n > 0; n--) {
+    const k = safeLower(words.slice(0, n).join("")).replace(/[^a-z0-9]/g, "");
+    if (AIR_TYPE_BY_MODEL_TYPE[k]) return AIR_TYPE_BY_MODEL_TYPE[k];
+  }
+  return null;
+}
+
+// Parsed URN + origin for meta.air; null when the URN doesn't parse.
+function airPartsFor(urn, origin, format = null) {
+  const p = parseAirUrn(urn);
+  if (!p) return null;
+  return { ...p, format: p.format || format || null, origin: AIR_ORIGINS[origin] ? origin : "unknown" };
+}
+
+// Keep meta.air in step with meta.copiedMessage; origin/format survive while the ids still match.
+function syncAirParts(meta, fallbackOrigin) {
+  const p = parseAirUrn(meta.copiedMessage);
+  if (!p) { meta.air = null; return meta; }
+  const prev = meta.air;
+  const same = !!prev && ["ecosystem", "type", "source", "id", "version"].every(k => String(prev[k] ?? "") === String(p[k] ?? ""));
+  meta.air = airPartsFor(meta.copiedMessage, same ? prev.origin : fallbackOrigin, same ? prev.format : null);
+  return meta;
+}
+
+// { copiedMessage, air } for an API version; Civitai's own `air` field wins over deriving.
+function airMetaFromApi(model, version) {
+  const files = Array.isArray(version?.files) ? version.files : [];
+  const primary = files.find(f => f.primary) || files[0];
+  const published = typeof version?.air === "string" && version.air.startsWith("urn:air:");
+  const urn = buildAirFromApi(model, version);
+  return { copiedMessage: urn, air: airPartsFor(urn, published ? "civitai" : "derived", airFormatFromFile(primary)) };
+}
+
+/**
+ * Build the AIR from the page's meta table, without the copy button / clipboard:
+ * ids from the "AIR" row ("civitai: 123 @ 456") or the URL, type and ecosystem from
+ * the "Type" / "Base Model" rows.
+ */
+function buildAirFromPageMeta(metaPairs, ids) {
+  const get = k => (metaPairs || []).find(p => safeLower(p?.key) === k)?.value || "";
+  const row = get("air").match(/civitai\s*:\s*(\d+)\s*(?:@\s*(\d+))?/i);
+  const modelId = row?.[1] || String(ids.modelId || "");
+  const versionId = row?.[2] || (ids.versionId && ids.versionId !== "000000" ? ids.versionId : null);
+  const type = airTypeFromTypeText(get("type"));
+  const eco = airEcosystemFromBaseModel(get("base model"));
+  if (!type || !eco || !modelId) return null;
+  return `urn:air:${eco}:${type}:civitai:${modelId}${versionId ? `@${versionId}` : ""}`;
+}
+
+function formatApiDate(iso) {
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return null;
+  return d.toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" });
+}
+
+function formatSizeKB(kb) {
+  const units = ["KB", "MB", "GB", "TB"];
+  let v = kb, i = 0;
+  while (v >= 1024 && i < units.length - 1) { v /= 1024; i++; }
+  return `${v.toFixed(i ? 2 : 0)} ${units[i]}`;
+}
+
+// "6.46 GB" -> bytes; null when the text is not a size.
+function parseSizeText(s) {
+  const m = String(s || "").trim().match(/^([\d.,]+)\s*(B|KB|MB|GB|TB)$/i);
+  if (!m) return null;
+  const n = parseFloat(m[1].replace(/,/g, ""));
+  if (isNaN(n)) return null;
+  const pow = ["B", "KB", "MB", "GB", "TB"].indexOf(m[2].toUpperCase());
+  return n * Math.pow(1024, pow);
+}
+
+// Same keys as the page's meta table where the API has an equivalent.
+function metaPairsFromApi(model, version) {
+  const pairs = [];
+  const push = (key, value) => {
+    if (value === undefined || value === null || value === "") return;
+    pairs.push({ key, value: String(value) });
+  };
+
+  const type = model?.type || version?.model?.type;
+  push("Type", type ? [type, model?.checkpointType].filter(Boolean).join(" ") : null);
+
+  const stats = version?.stats || model?.stats || {};
+  if (typeof stats.downloadCount === "number") push("Downloads", stats.downloadCount.toLocaleString("en-US"));
+  if (typeof stats.thumbsUpCount === "number") push("Likes", stats.thumbsUpCount.toLocaleString("en-US"));
+
+  push("Published", formatApiDate(version?.publishedAt || version?.createdAt));
+  push("Updated", formatApiDate(version?.updatedAt));
+  push("Base Model", version?.baseModel);
+
+  const files = Array.isArray(version?.files) ? version.files : [];
+  const primary = files.find(f => f.primary) || files[0];
+  if (primary?.hashes?.AutoV2) push("Hash", `AutoV2 ${primary.hashes.AutoV2}`);
+  if (typeof primary?.sizeKB === "number") push("Size", formatSizeKB(primary.sizeKB));
+
+  if (Array.isArray(version?.trainedWords) && version.trainedWords.length) {
+    push("Trigger Words", version.trainedWords.join(", "));
+  }
+
+  if (model?.id) push("AIR", `civitai:${model.id}${version?.id ? `@${version.id}` : ""}`);
+  return pairs;
+}
+
+/* =====================================================================================
+ * META FIELDS
+ * =====================================================================================
+ *
+ * meta.fields is derived from meta.metaPairs (which stay the raw page/API strings) and
+ * is what search, sort and the detail view read. It is rebuilt whenever metaPairs change,
+ * and stored items whose fields came from an older parser are re-parsed on startup;
+ * bump META_PARSER_VERSION whenever parseMetaFields changes its output.
+ * ===================================================================================== */
+
+const META_PARSER_VERSION = 1;
+
+// Normalized type key (see AIR_TYPE_BY_MODEL_TYPE) -> display label
+const MODEL_TYPE_LABELS = {
+  checkpoint: "Checkpoint",
+  textualinversion: "Textual Inversion",
+  hypernetwork: "Hypernetwork",
+  aestheticgradient: "Aesthetic Gradient",
+  lora: "LoRA",
+  locon: "LoCon",
+  lycoris: "LyCORIS",
+  dora: "DoRA",
+  controlnet: "ControlNet",
+  upscaler: "Upscaler",
+  motionmodule: "Motion Module",
+  vae: "VAE",
+  poses: "Poses",
+  wildcards: "Wildcards",
+  workflows: "Workflows",
+  detection: "Detection",
+  other: "Other"
+};
+
+const HASH_TYPES = ["AutoV1", "AutoV2", "AutoV3", "SHA256", "CRC32", "BLAKE3"];
+
+// "13,670" / "312.7k" / "1.2M" -> number; null when the text is not a count.
+function parseCountText(s) {
+  const m = String(s ?? "").trim().match(/^(\d[\d,]*(?:\.\d+)?)\s*([kmb])?$/i);
+  if (!m) return null;
+  const n = parseFloat(m[1].replace(/,/g, ""));
+  const mult = { k: 1e3, m: 1e6, b: 1e9 }[safeLower(m[2])] || 1;
+  return isNaN(n) ? null : Math.round(n * mult);
+}
+
+// The page renders the Stats badges without separators ("13,670312.7k"): split on the
+// count format, downloads first, then generations.
+function parseStatsText(s) {
+  const parts = String(s || "").match(/\d{1,3}(?:,\d{3})*(?:\.\d+)?[kmb]?/gi) || [];
+  if (!parts.length || parts.join("") !== String(s).replace(/\s+/g, "")) return null;
+  const [downloads, generations] = parts.map(parseCountText);
+  return { downloads: downloads ?? null, generations: generations ?? null };
+}
+
+// "Nov 29, 2025" / ISO -> "2025-11-29"; null when it isn't a date.
+function parseDateText(s) {
+  const t = String(s || "").trim();
+  if (!t) return null;
+  const d = new Date(t);
+  if (isNaN(d.getTime())) return null;
+  if (/^\d{4}-\d{2}-\d{2}/.test(t)) return t.slice(0, 10);
+  const pad = n => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// "Very Positive(427)" -> { sentiment, count }; "No reviews yet" -> { sentiment: null, count: 0 }
+function parseReviewsText(s) {
+  const t = String(s || "").trim();
+  if (/^no reviews/i.test(t)) return { sentiment: null, count: 0 };
+  const m = t.match(/^([A-Za-z][A-Za-z ]*?)\s*\(\s*([\d.,]+[kmb]?)\s*\)$/i);
+  if (!m) return null;
+  return { sentiment: m[1].trim(), count: parseCountText(m[2]) };
+}
+
+// "AutoV2 2FE19E0F8B" or run together "AutoV22FE19E0F8B" -> ["AutoV2", "2FE19E0F8B"]
+function parseHashText(s) {
+  const t = String(s || "").trim();
+  for (const type of HASH_TYPES) {
+    const m = t.match(new RegExp(`^${type}\\s*:?\\s*([0-9a-f]+)$`, "i"));
+    if (m) return [type, m[1].toUpperCase()];
+  }
+  const bare = t.match(/^[0-9a-f]{8,}$/i);
+  return bare ? [bare[0].length === 64 ? "SHA256" : "AutoV2", t.toUpperCase()] : null;
+}
+
+// "Checkpoint Merge" / "TextualInversion" / "LORA" -> { type, subtype }
+function parseTypeText(s) {
+  const t = String(s || "").trim();
+  if (!t) return null;
+  const words = t.split(/\s+/);
+  for (let n = words.length; n > 0; n--) {
+    const k = safeLower(words.slice(0, n).join("")).replace(/[^a-z0-9]/g, "");
+    if (MODEL_TYPE_LABELS[k]) return { type: MODEL_TYPE_LABELS[k], subtype: words.slice(n).join(" ") || null };
+  }
+  return { type: t, subtype: null };
+}
+
+function parseTriggerWords(s) {
+  return Array.from(new Set(String(s || "").split(/[,\n]/).map(w => w.trim()).filter(Boolean)));
+}
+
+/**
+ * metaPairs -> typed fields. Keys are matched case-insensitively; pairs with unknown keys,
+ * or known keys whose value doesn't parse, are kept verbatim in `other`.
+ */
+function parseMetaFields(pairs) {
+  const f = {
+    parser: META_PARSER_VERSION,
+    type: null, subtype: null, baseModel: null,
+    publishedAt: null, updatedAt: null,
+    downloads: null, likes: null, generations: null,
+    reviews: null,
+    hashes: {},
+    sizeBytes: null,
+    triggerWords: [],
+    other: []
+  };
+  const setCount = (k, v) => { const n = parseCountText(v); if (n === null) return false; f[k] = n; return true; };
+  const setDate = (k, v) => { const d = parseDateText(v); if (!d) return false; f[k] = d; return true; };
+
+  const PARSERS = {
+    "type": v => { const t = parseTypeText(v); if (!t) return false; Object.assign(f, t); return true; },
+    "base model": v => { f.baseModel = String(v).trim() || null; return !!f.baseModel; },
+    "published": v => setDate("publishedAt", v),
+    "uploaded": v => setDate("publishedAt", v),
+    "updated": v => setDate("updatedAt", v),
+    "downloads": v => setCount("downloads", v),
+    "likes": v => setCount("likes", v),
+    "stats": v => { const s = parseStatsText(v); if (!s) return false; Object.assign(f, s); return true; },
+    "reviews": v => { f.reviews = parseReviewsText(v); return !!f.reviews; },
+    "hash": v => { const h = parseHashText(v); if (!h) return false; f.hashes[h[0]] = h[1]; return true; },
+    "size": v => { const n = parseSizeText(v); if (n === null) return false; f.sizeBytes = Math.round(n); return true; },
+    "trigger words": v => { f.triggerWords = parseTriggerWords(v); return f.triggerWords.length > 0; },
+    "trained words": v => { f.triggerWords = parseTriggerWords(v); return f.triggerWords.length > 0; },
+    "air": () => true // kept as meta.copiedMessage / meta.air
+  };
+
+  (Array.isArray(pairs) ? pairs : []).forEach(p => {
+    const key = String(p?.key ?? "").trim();
+    const value = p?.value ?? null;
+    const parse = PARSERS[safeLower(key)];
+    if (parse && value !== null && String(value).trim() && parse(value)) return;
+    if (key || value) f.other.push({ key, value });
+  });
+  return f;
+}
+
+// Rebuild meta.fields from meta.metaPairs.
+function syncMetaFields(meta) {
+  meta.fields = parseMetaFields(meta.metaPairs);
+  return meta;
+}
+
+// Typed fields of a stored item, parsing on the fly for records not yet re-normalized.
+function metaFieldsOf(q) {
+  const f = q?.meta?.fields;
+  return f && f.parser === META_PARSER_VERSION ? f : parseMetaFields(q?.meta?.metaPairs);
+}
+
+// Display rows for the detail view: [label, text], empty fields skipped.
+function metaFieldRows(f) {
+  const n = v => (typeof v === "number" ? v.toLocaleString("en-US") : null);
+  const rows = [
+    ["Type", [f.type, f.subtype && `(${f.subtype})`].filter(Boolean).join(" ")],
+    ["Base model", f.baseModel],
+    ["Published", f.publishedAt],
+    ["Updated", f.updatedAt],
+    ["Downloads", n(f.downloads)],
+    ["Likes", n(f.likes)],
+    ["Generations", n(f.generations)],
+    ["Reviews", f.reviews && [f.reviews.sentiment, f.reviews.count !== null ? `${n(f.reviews.count)} reviews` : null].filter(Boolean).join(" · ")],
+    ["File size", f.sizeBytes !== null ? formatSizeKB(f.sizeBytes / 1024) : null],
+    ...Object.entries(f.hashes || {}).map(([t, h]) => [`Hash (${t})`, h]),
+    ["Trigger words", f.triggerWords.join(", ")]
+  ];
+  return rows.filter(([, v]) => v);
+}
+
+/**
+ * Re-run the metaPairs normalization on stored index records. Without `force` only
+ * records parsed by an older parser (or never parsed) are rewritten.
+ * Returns { reparsed, changed }.
+ */
+async function reparseStoredMetaFields({ force = false } = {}) {
+  const records = await loadQueueSafe();
+  const stale = force ? records : records.filter(r => r.meta?.fields?.parser !== META_PARSER_VERSION);
+  const updated = [];
+  stale.forEach(r => {
+    const fields = parseMetaFields(r.meta?.metaPairs);
+    if (stableStringify(fields) === stableStringify(r.meta?.fields)) return;
+    updated.push({ ...r, meta: { ...(r.meta || {}), fields } });
+  });
+  if (updated.length) await mergeItemsIntoStorage(updated);
+  return { reparsed: stale.length, changed: updated.length };
+}
+
+/* =====================================================================================
+ * DOWNLOAD VARIANTS
+ * =====================================================================================
+ *
+ * meta.variants lists every file a version offers; meta.downloadlinks stays the list the
+ * downloader consumes and always equals the urls of the selected variants, so exports
+ * carry only what the user picked. Variants are identified by their normalized url.
+ * ===================================================================================== */
+
+const VARIANT_FIELDS = ["type", "format", "size", "fp"];
+
+function normalizeDownloadUrl(u) {
+  try { return new URL(String(u).replace(/&amp;/g, "&"), location.origin).toString(); } catch { return String(u || ""); }
+}
+
+// "?type=Model&format=SafeTensor&size=pruned&fp=fp16" -> parts; bare links are the primary model file.
+function variantPartsFromUrl(u) {
+  let params = null;
+  try { params = new URL(u, location.origin).searchParams; } catch {}
+  const get = k => singleLine(params?.get(k)).trim() || null;
+  return { type: get("type") || "Model", format: get("format"), size: get("size"), fp: get("fp") };
+}
+
+// One variant per unique url; `extra` fills in what the url doesn't say (file name, size).
+function variantFromUrl(u, extra = {}) {
+  const url = normalizeDownloadUrl(u);
+  return {
+    url,
+    ...variantPartsFromUrl(url),
+    fileName: null,
+    sizeBytes: null,
+    primary: false,
+    selected: true,
+    ...extra
+  };
+}
+
+// Civitai API file -> variant; metadata wins over the url's query string.
+function variantFromApiFile(file) {
+  const md = file?.metadata || {};
+  const v = variantFromUrl(file.downloadUrl, {
+    fileName: file?.name || null,
+    sizeBytes: typeof file?.sizeKB === "number" ? Math.round(file.sizeKB * 1024) : null,
+    primary: !!file?.primary
+  });
+  if (file?.type) v.type = file.type;
+  if (md.format) v.format = md.format;
+  if (md.size) v.size = md.size;
+  if (md.fp) v.fp = md.fp;
+  return v;
+}
+
+function variantsFromApi(version) {
+  const files = (Array.isArray(version?.files) ? version.files : []).filter(f => f?.downloadUrl);
+  const variants = files.map(variantFromApiFile);
+  if (!variants.length && version?.downloadUrl) variants.push(variantFromUrl(version.downloadUrl, { primary: true }));
+  return applyDefaultSelection(dedupeVariants(variants));
+}
+
+// Page download anchors; the anchor text sometimes carries the file size ("SafeTensor (6.46 GB)").
+function variantsFromDom() {
+  const variants = qsa('a[href*="/api/download/models/"]')
+    .filter(a => a.getAttribute("href"))
+    .map(a => {
+      const size = (a.textContent || "").match(/([\d.,]+\s*(?:KB|MB|GB|TB))/i);
+      const bytes = size ? parseSizeText(size[1]) : null;
+      return variantFromUrl(a.getAttribute("href"), { sizeBytes: bytes === null ? null : Math.round(bytes) });
+    });
+  return applyDefaultSelection(dedupeVariants(variants));
+}
+
+// Fresh scrapes select the primary file only (the page's main Download button).
+function applyDefaultSelection(variants) {
+  const primary = variants.find(v => v.primary)
+    || variants.find(v => !/[?&](type|format|size|fp)=/.test(v.url))
+    || variants.find(v => v.type === "Model")
+    || variants[0];
+  variants.forEach(v => { v.selected = v === primary; });
+  return variants;
+}
+
+function dedupeVariants(variants) {
+  const seen = new Map();
+  (variants || []).forEach(v => {
+    if (!v?.url) return;
+    const url = normalizeDownloadUrl(v.url);
+    const prev = seen.get(url);
+    // Later duplicates only fill gaps (the DOM may list one link twice with different text).
+    if (prev) Object.keys(v).forEach(k => { if (prev[k] === null || prev[k] === undefined) prev[k] = v[k]; });
+    else seen.set(url, { ...v, url });
+  });
+  return Array.from(seen.values());
+}
+
+/**
+ * Re-establish the invariant downloadlinks === urls of selected variants, treating
+ * downloadlinks as authoritative: unknown links become selected variants, known variants
+ * not in the list are deselected.
+ */
+function syncVariants(meta) {
+  const links = Array.from(new Set((Array.isArray(meta.downloadlinks) ? meta.downloadlinks : []).map(normalizeDownloadUrl)));
+  const variants = dedupeVariants(Array.isArray(meta.variants) ? meta.variants : []);
+  const byUrl = new Map(variants.map(v => [v.url, v]));
+  links.forEach(u => { if (!byUrl.has(u)) { const v = variantFromUrl(u); variants.push(v); byUrl.set(u, v); } });
+  const wanted = new Set(links);
+  variants.forEach(v => { v.selected = wanted.has(v.url); });
+  meta.variants = variants;
+  meta.downloadlinks = variants.filter(v => v.selected).map(v => v.url);
+  return meta;
+}
+
+// Set the selection (by url) and derive downloadlinks from it.
+function selectVariants(meta, urls) {
+  const wanted = new Set(urls);
+  const variants = dedupeVariants(meta.variants).map(v => ({ ...v, selected: wanted.has(v.url) }));
+  return { ...meta, variants, downloadlinks: variants.filter(v => v.selected).map(v => v.url) };
+}
+
+// A re-scrape keeps the user's selection for urls that still exist.
+function carryVariantSelection(scrapedMeta, prevMeta) {
+  const prev = new Map((Array.isArray(prevMeta?.variants) ? prevMeta.variants : []).map(v => [v.url, !!v.selected]));
+  if (!prev.size) return scrapedMeta;
+  const selected = scrapedMeta.variants
+    .filter(v => (prev.has(v.url) ? prev.get(v.url) : v.selected))
+    .map(v => v.url);
+  return selectVariants(scrapedMeta, selected);
+}
+
+function variantsOf(q) {
+  return Array.isArray(q?.meta?.variants) ? q.meta.variants : [];
+}
+
+// "Model · SafeTensor · pruned · fp16"
+function variantLabel(v) {
+  return singleLine(VARIANT_FIELDS.map(k => v[k]).filter(Boolean).join(" · ")).trim() || "File";
+}
+
+/* =====================================================================================
+ * DOWNLOAD STATE
+ * =====================================================================================
+ *
+ * Derived on the fly, never stored: the selected links (meta.downloadlinks) checked against
+ * the `downloads` records download_civitai_json.py appends. A record with `error` is a
+ * failed attempt; any record without one means the file was written.
+ * ===================================================================================== */
+
+const DOWNLOAD_STATES = {
+  none: "Not downloaded",
+  partial: "Partially downloaded",
+  complete: "Downloaded",
+  failed: "Download failed"
+};
+
+function isDownloadRecord(d) {
+  return !!d && typeof d === "object" && typeof d.url === "string" && !!d.url;
+}
+
+function downloadRecordsOf(q) {
+  return Array.isArray(q?.downloads) ? q.downloads.filter(isDownloadRecord) : [];
+}
+
+/**
+ * Returns { state, links: [{ url, state, record }], done, failed, total, bytes }.
+ * Per link the latest successful record wins over failures, so a retried link counts as done.
+ * Records for links that are no longer selected are ignored.
+ */
+function downloadStateOf(q) {
+  const byUrl = new Map();
+  downloadRecordsOf(q).forEach(d => {
+    const url = normalizeDownloadUrl(d.url);
+    if (!byUrl.has(url)) byUrl.set(url, []);
+    byUrl.get(url).push(d);
+  });
+  const selected = Array.from(new Set((Array.isArray(q?.meta?.downloadlinks) ? q.meta.downloadlinks : []).map(normalizeDownloadUrl)));
+  const links = selected.map(url => {
+    const mine = byUrl.get(url) || [];
+    const ok = mine.filter(d => !d.error);
+    if (ok.length) return { url, state: "complete", record: ok[ok.length - 1] };
+    if (mine.length) return { url, state: "failed", record: mine[mine.length - 1] };
+    return { url, state: "none", record: null };
+  });
+  const done = links.filter(l => l.state === "complete").length;
+  const failed = links.filter(l => l.state === "failed").length;
+  const bytes = links.reduce((n, l) => n + (l.state === "complete" && Number(l.record.size_bytes) > 0 ? Number(l.record.size_bytes) : 0), 0);
+  const state = links.length && done === links.length ? "complete" : done ? "partial" : failed ? "failed" : "none";
+  return { state, links, done, failed, total: links.length, bytes };
+}
+
+/**
+ * Records to add to `existing` from a downloader result, deduplicated the same way an
+ * import merge does. Returns { downloads, added }.
+ */
+function mergeDownloadResults(existing, incoming) {
+  const before = mergeDownloadRecords(existing, []);
+  const downloads = mergeDownloadRecords(before, (incoming || []).filter(isDownloadRecord));
+  return { downloads, added: downloads.length - before.length };
+}
+
+/* =====================================================================================
+ * SCRAPE CURRENT PAGE
+ * ===================================================================================== */
+
+/**
+ * Build a QueueItem from the public API JSON.
+ * `versionId` is the key's version segment, so "000000" stays "000000" even though
+ * the data comes from the model's latest version (matches what the page shows).
+ */
+function itemFromApiData(model, version, { versionId, pageUrl }) {
+  const modelTitleRaw = (model?.name || "").trim() || null;
+  const html = [model?.description, version?.description]
+    .filter(Boolean)
+    .join("\n<!-- ---- -->\n");
+
+  const variants = variantsFromApi(version);
+  if (!variants.length) throw new Error("Download link not found (API)");
+
+  const vid = versionId || String(version?.id || "000000");
+  const metaPairs = metaPairsFromApi(model, version);
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    key: makeKey(model.id, vid),
+    modelId: model.id,
+    versionId: vid,
+    name: modelTitleRaw || `model_${model.id}`,
+    html,
+    meta: {
+      ModelTitle: slugifyPreserveUnicode(modelTitleRaw),
+      downloadlinks: variants.filter(v => v.selected).map(v => v.url),
+      variants,
+      metaPairs,
+      fields: parseMetaFields(metaPairs),
+      pageUrl,
+      ...airMetaFromApi(model, version),
+      scrapeSource: "api"
+    },
+    user: { tags: [], note: "", rating: null },
+    updatedAt: new Date().toISOString()
+  };
+}
+
+// "000000" -> latest version (first in modelVersions)
+async function resolveApiVersion(model, versionId) {
+  const versions = Array.isArray(model?.modelVersions) ? model.modelVersions : [];
+
+  let version = null;
+  if (!versionId || versionId === "000000") {
+    version = versions[0] || null;
+  } else {
+    version = versions.find(v => String(v.id) === String(versionId)) || null;
+    // Model listing may omit hidden/early-access versions; ask for it directly.
+    if (!version) version = await fetchModelVersionJson(versionId);
+  }
+  if (!version) throw new Error("Model version not found (API)");
+  return version;
+}
+
+async function scrapeCurrentPageFromApi(ids) {
+  const model = await fetchModelJson(ids.modelId);
+  const version = await resolveApiVersion(model, ids.versionId);
+  return itemFromApiData(model, version, { versionId: ids.versionId, pageUrl: location.href });
+}
+
+/**
+ * Build an item for a model link found elsewhere on the site (cards, watchlist).
+ * Without an explicit version, the latest version's real id is used for the key.
+ */
+async function captureModelRef(ref) {
+  const model = await fetchModelJson(ref.modelId);
+  const version = await resolveApiVersion(model, ref.versionId);
+  return itemFromApiData(model, version, {
+    versionId: String(version.id),
+    pageUrl: versionPageUrl(model.id, version.id)
+  });
+}
+
+// Re-fetch a stored item from the API under its existing key ("000000" stays "000000").
+async function rescrapeItem(q) {
+  const model = await fetchModelJson(q.modelId);
+  const version = await resolveApiVersion(model, q.versionId);
+  return itemFromApiData(model, version, {
+    versionId: q.versionId,
+    pageUrl: q.meta?.pageUrl || versionPageUrl(model.id, version.id)
+  });
+}
+
+function versionPageUrl(modelId, versionId) {
+  return `${location.origin}/models/${modelId}?modelVersionId=${versionId}`;
+}
+
+/**
+ * One QueueItem per version, each keyed by its real version id.
+ * Returns { items, errors } so one bad version doesn't abort the rest.
+ */
+function itemsForModelVersions(model, versions) {
+  const items = [];
+  const errors = [];
+  (versions || []).forEach(v => {
+    try {
+      items.push(itemFromApiData(model, v, {
+        versionId: String(v.id),
+        pageUrl: versionPageUrl(model.id, v.id)
+      }));
+    } catch (e) {
+      errors.push({ versionId: String(v?.id), message: String(e?.message || e) });
+    }
+  });
+  return { items, errors };
+}
+
+async function scrapeCurrentPageFromDom(ids) {
+  const h1 = qs("h1.__slug_titleF0Iq");
+  const modelTitleRaw = h1?.textContent?.trim() || null;
+  const ModelTitle = slugifyPreserveUnicode(modelTitleRaw);
+
+  const descNodes = qsa(".TypographyStylesWrapper_root__qXSUB.RenderHtml_htmlRenderer__z8vxT");
+  if (descNodes.length === 0) throw new Error("Description not found");
+
+  const html = descNodes.slice(0, 2).map(n => n.innerHTML).join("\n<!-- ---- -->\n");
+
+  const variants = variantsFromDom();
+  if (!variants.length) throw new Error("Download link not found");
+
+  const metaPairs = [];
+  const tbody = qs("tbody.m_b2404537");
+  if (tbody) {
+    qsa("tr", tbody).forEach(tr => {
+      const tds = qsa("td", tr);
+      if (tds.length >= 2)
+        metaPairs.push({
+          key: tds[0].textContent.trim() || null,
+          value: tds[1].textContent.trim() || null
+        });
+    });
+  }
+
+  const copiedMessage = buildAirFromPageMeta(metaPairs, ids);
+
+  const key = makeKey(ids.modelId, ids.versionId);
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    key,
+    modelId: ids.modelId,
+    versionId: ids.versionId,
+    name: modelTitleRaw || `model_${ids.modelId}`,
+    html,
+    meta: {
+      ModelTitle,
+      downloadlinks: variants.filter(v => v.selected).map(v => v.url),
+      variants,
+      metaPairs,
+      fields: parseMetaFields(metaPairs),
+      pageUrl: location.href,
+      copiedMessage,
+      air: airPartsFor(copiedMessage, "derived"),
+      scrapeSource: "dom"
+    },
+    user: { tags: [], note: "", rating: null },
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * API first (immune to frontend class-name churn), DOM scraping as fallback.
+ * `report(line, isError)` receives the fallback reason.
+ */
+async function scrapeCurrentPage(report = () => {}) {
+  const ids = parseModelAndVersionFromUrl();
+  if (!ids) throw new Error("Cannot parse model id");
+
+  try {
+    return await scrapeCurrentPageFromApi(ids);
+  } catch (e) {
+    report(`API scrape failed (${e?.message || e}), falling back to page DOM`, true);
+  }
+  return await scrapeCurrentPageFromDom(ids);
+}
+
+/* =====================================================================================
+ * CURRENT PAGE STATUS
+ * ===================================================================================== */
+
+const ROUTE_POLL_MS = 700;
+
+// Every offered file, not the selection: the user's variant picks are not page content.
+function offeredDownloadUrls(item) {
+  const offered = variantsOf(item).length
+    ? variantsOf(item).map(v => v.url)
+    : (Array.isArray(item?.meta?.downloadlinks) ? item.meta.downloadlinks : []);
+  return offered.map(normalizeDownloadUrl);
+}
+
+/**
+ * Fields that identify scraped content. Stats (downloads/likes) and updatedAt are
+ * excluded on purpose: they change constantly and would always report "differs".
+ * Only meaningful between two captures of the same scrapeSource.
+ */
+function itemContentFingerprint(item) {
+  return JSON.stringify([
+    item?.name || "",
+    htmlHashOf(item),
+    Array.from(new Set(offeredDownloadUrls(item))).sort(),
+    item?.meta?.copiedMessage || ""
+  ]);
+}
+
+/**
+ * What a page scrape and an API capture of the same version agree on: the download
+ * paths without their ?type=…&format=… query (page anchors carry it, the API's primary
+ * url doesn't) and the AIR's type/id/version (the ecosystem and format come from
+ * different tables). Names, descriptions and raw URNs are left out.
+ */
+function crossSourceParts(item) {
+  const paths = offeredDownloadUrls(item).map(u => {
+    try { return new URL(u).pathname.replace(/\/+$/, ""); } catch { return u; }
+  });
+  const air = parseAirUrn(item?.meta?.copiedMessage);
+  return {
+    files: JSON.stringify(Array.from(new Set(paths)).sort()),
+    air: air ? JSON.stringify([safeLower(air.type), air.id, air.version || ""]) : null
+  };
+}
+
+/**
+ * "none" | "queued" | "differs"
+ * `fresh` is an API capture of the page, or null when not (yet) available.
+ * Captures from different scrapeSources are compared with crossSourceParts only;
+ * an item without a parsable AIR on either side is not compared on the AIR.
+ */
+function currentPageQueueState(stored, fresh) {
+  if (!stored) return "none";
+  if (!fresh) return "queued";
+  if (stored.meta?.scrapeSource && stored.meta.scrapeSource === fresh.meta?.scrapeSource) {
+    return itemContentFingerprint(stored) === itemContentFingerprint(fresh) ? "queued" : "differs";
+  }
+  const a = crossSourceParts(stored);
+  const b = crossSourceParts(fresh);
+  return a.files === b.files && (!a.air || !b.air || a.air === b.air) ? "queued" : "differs";
+}
+
+/* =====================================================================================
+ * LISTING PAGES (search, collections, user profiles, /models feed)
+ * ===================================================================================== */
+
+const BULK_CAPTURE_DELAY_MS = 400;
+const BULK_MERGE_BATCH = 10;
+
+function isModelPage() {
+  return /^\/models\/\d+/.test(location.pathname);
+}
+
+// "/models/123/slug?modelVersionId=456" -> { modelId, versionId }
+function parseModelHref(href) {
+  try {
+    const u = new URL(href, location.origin);
+    if (u.origin !== location.origin) return null;
+    const m = u.pathname.match(/^\/models\/(\d+)/);
+    if (!m) return null;
+    return {
+      modelId: parseInt(m[1], 10),
+      versionId: u.searchParams.get("modelVersionId") || "000000"
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Model cards = links to /models/<id> that wrap a preview image/video.
+ * Avoids hashed class names; plain text links (breadcrumbs, descriptions) are skipped.
+ * On a model page, the page's own model is excluded (its gallery links to itself).
+ */
+function findModelCards(root = document) {
+  const own = isModelPage() ? parseModelAndVersionFromUrl()?.modelId : null;
+  const seen = new Set();
+  const cards = [];
+  qsa('a[href*="/models/"]', root).forEach(a => {
+    if (a.closest("#cm-root, #cm-overlay, .cm-modal")) return;
+    if (!qs("img, video", a)) return;
+    const ref = parseModelHref(a.getAttribute("href"));
+    if (!ref || ref.modelId === own) return;
+    if (seen.has(a)) return;
+    seen.add(a);
+    cards.push({ el: a, ref });
+  });
+  return cards;
+}
+
+function isElementVisible(el) {
+  if (!el || !el.isConnected) return false;
+  const r = el.getBoundingClientRect();
+  return r.width > 0 && r.height > 0;
+}
+
+/* =====================================================================================
+ * UPDATE CHECKS
+ * =====================================================================================
+ *
+ * Results are stored per modelId in GM storage (not on items) as the model's full version
+ * list, so "is there something newer than what I queued" is recomputed against the live
+ * queue on every render: queueing the newer version clears the badge by itself.
+ * ===================================================================================== */
+
+const UPDATES_KEY = "civitai_manager_updates";
+const UPDATE_CHECK_DELAY_MS = 1000;  // between model requests
+const UPDATE_MAX_RETRIES = 3;        // per model, on HTTP 429 / 5xx
+const UPDATE_BACKOFF_MS = 5000;      // first backoff when the server sends no Retry-After
+
+function loadUpdateResults() {
+  try {
+    const v = JSON.parse(GM_getValue(UPDATES_KEY, "{}"));
+    return v && typeof v === "object" ? v : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveUpdateResults(results) {
+  GM_setValue(UPDATES_KEY, JSON.stringify(results));
+}
+
+// Real version id of a queued item; "000000" items fall back to their AIR URN.
+function knownVersionIdOf(q) {
+  const v = String(q?.versionId ?? "");
+  if (v && v !== "000000") return v;
+  return parseAirUrn(q?.meta?.copiedMessage)?.version || null;
+}
+
+// Versions newest first, as the API orders modelVersions
+function updateResultFromModel(model) {
+  return {
+    checkedAt: new Date().toISOString(),
+    name: model?.name || "",
+    versions: (Array.isArray(model?.modelVersions) ? model.modelVersions : []).map(v => ({
+      id: String(v.id),
+      name: v.name || "",
+      baseModel: v.baseModel || "",
+      publishedAt: v.publishedAt || v.createdAt || null
+    }))
+  };
+}
+
+/**
+ * Versions of a model that are newer than every queued version of it (newest first).
+ * Empty when nothing is queued for the model or the queued version can't be placed.
+ */
+function newerVersionsFor(result, queuedItems) {
+  const versions = Array.isArray(result?.versions) ? result.versions : [];
+  const known = new Set(queuedItems.map(knownVersionIdOf).filter(Boolean));
+  if (!versions.length || !known.size) return [];
+  const firstQueued = versions.findIndex(v => known.has(v.id));
+  if (firstQueued >= 0) return versions.slice(0, firstQueued);
+  // Queued versions no longer listed (removed by the creator): fall back to id order.
+  const maxKnown = Math.max(...[...known].map(Number).filter(Number.isFinite));
+  return Number.isFinite(maxKnown) ? versions.filter(v => Number(v.id) > maxKnown) : [];
+}
+
+// modelId -> newer versions, for every model in the queue that has a stored result
+function computeUpdateBadges(queue, results = loadUpdateResults()) {
+  const byModel = new Map();
+  queue.forEach(q => {
+    const id = String(q.modelId ?? "");
+    if (!id) return;
+    if (!byModel.has(id)) byModel.set(id, []);
+    byModel.get(id).push(q);
+  });
+  const out = new Map();
+  byModel.forEach((items, id) => {
+    const newer = newerVersionsFor(results[id], items);
+    if (newer.length) out.set(id, newer);
+  });
+  return out;
+}
+
+/**
+ * Fetch each model sequentially, UPDATE_CHECK_DELAY_MS apart. HTTP 429 / 5xx wait for
+ * Retry-After (or an exponential backoff) and retry; 404 is recorded as `missing`.
+ * Results are merged into UPDATES_KEY as they arrive. `opts.onProgress(done, total, id)`,
+ * `opts.isCancelled()`. Returns { checked, errors: [{ modelId, message }], cancelled }.
+ */
+async function checkModelUpdates(modelIds, opts = {}) {
+  const ids = Array.from(new Set(modelIds.map(String).filter(Boolean)));
+  const errors = [];
+  let checked = 0;
+
+  for (let i = 0; i < ids.length; i++) {
+    if (opts.isCancelled?.()) return { checked, errors, cancelled: true };
+    const id = ids[i];
+    opts.onProgress?.(i, ids.length, id);
+
+    let result = null;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        result = updateResultFromModel(await fetchModelJson(id));
+        break;
+      } catch (e) {
+        if (e instanceof HttpError && e.status === 404) {
+          result = { checkedAt: new Date().toISOString(), missing: true, versions: [] };
+          break;
+        }
+        const retryable = e instanceof HttpError && (e.status === 429 || e.status >= 500);
+        if (!retryable || attempt >= UPDATE_MAX_RETRIES) {
+          errors.push({ modelId: id, message: String(e?.message || e) });
+          break;
+        }
+        await sleep(e.retryAfterMs ?? UPDATE_BACKOFF_MS * Math.pow(2, attempt));
+      }
+    }
+
+    if (result) {
+      const all = loadUpdateResults();
+      all[id] = result;
+      saveUpdateResults(all);
+      checked++;
+    }
+    if (i + 1 < ids.length) await sleep(UPDATE_CHECK_DELAY_MS);
+  }
+  opts.onProgress?.(ids.length, ids.length, null);
+  return { checked, errors, cancelled: false };
+}
+
+/* =====================================================================================
+ * LOCAL DOWNLOADER
+ * =====================================================================================
+ *
+ * Optional handoff to a daemon on this machine (see local_downloader_stub.py for the
+ * protocol). Only loopback URLs are accepted: items and their links never leave the box.
+ *
+ *   POST {base}/api/jobs          { schemaVersion, scriptVersion, exportedAt, items }
+ *                                 -> { accepted: [key], rejected: [{ key, error }] }
+ *   GET  {base}/api/jobs?keys=…   -> { jobs: { key: { state, bytes, total, error } } }
+ *
+ * Last known job status per key is kept in GM storage, so every tab shows the same badges.
+ * Only the tab holding the poll lease asks the service; the others follow the stored status.
+ * ===================================================================================== */
+
+const DOWNLOADER_URL_KEY = "civitai_manager_downloader_url";       // empty = integration off
+const DOWNLOADER_STATUS_KEY = "civitai_manager_downloader_status";
+const DOWNLOADER_LEASE_KEY = "civitai_manager_downloader_poller";   // { tab, until }
+const DOWNLOADER_TIMEOUT_MS = 10000;
+const DOWNLOADER_POLL_MS = 2000;
+const DOWNLOADER_MAX_FAILURES = 5;   // consecutive failed polls before polling stops
+
+const JOB_STATES = ["queued", "downloading", "done", "failed"];
+const JOB_ACTIVE_STATES = new Set(["queued", "downloading"]);
+// Stored (never reported by the service) when polling gave up on a queued/downloading job.
+const JOB_UNKNOWN_STATE = "unknown";
+
+function isLoopbackUrl(s) {
+  try {
+    const u = new URL(s);
+    if (u.protocol !== "http:" && u.protocol !== "https:") return false;
+    return u.hostname === "localhost" || u.hostname === "[::1]" || /^127(\.\d{1,3}){3}$/.test(u.hostname);
+  } catch {
+    return false;
+  }
+}
+
+// Configured service URL without trailing slash, or "" when the integration is off.
+function downloaderBase() {
+  const v = String(GM_getValue(DOWNLOADER_URL_KEY, "") || "").trim().replace(/\/+$/, "");
+  return isLoopbackUrl(v) ? v : "";
+}
+
+async function downloaderRequest(path, body) {
+  const base = downloaderBase();
+  if (!base) throw new Error("Local downloader URL is not set (Settings)");
+  const url = `${base}${path}`;
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), DOWNLOADER_TIMEOUT_MS);
+  let res;
+  try {
+    res = await fetch(url, {
+      method: body ? "POST" : "GET",
+      credentials: "omit",
+      headers: body ? { Accept: "application/json", "Content-Type": "application/json" } : { Accept: "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: ctrl.signal
+    });
+  } catch (e) {
+    if (e?.name === "AbortError") throw new Error(`Local downloader timed out at ${base}`);
+    throw new Error(`Local downloader unreachable at ${base} (${e?.message || e})`);
+  } finally {
+    clearTimeout(timer);
+  }
+  if (!res.ok) throw new HttpError(res.status, url, parseRetryAfter(res.headers.get("Retry-After")));
+  return res.json();
+}
+
+function normalizeJobStatus(raw) {
+  if (!raw || typeof raw !== "object") {
+    return { state: "failed", bytes: 0, total: null, error: "Job not known to the downloader (restarted?)" };
+  }
+  const num = v => (Number.isFinite(Number(v)) && v !== null && v !== "" ? Math.max(0, Number(v)) : null);
+  return {
+    state: JOB_STATES.includes(raw.state) ? raw.state : "failed",
+    bytes: num(raw.bytes) ?? 0,
+    total: num(raw.total),
+    error: raw.error ? String(raw.error) : (JOB_STATES.includes(raw.state) ? null : `Unknown state "${raw.state}"`)
+  };
+}
+
+function loadDownloaderStatus() {
+  try {
+    const v = JSON.parse(GM_getValue(DOWNLOADER_STATUS_KEY, "{}"));
+    return v && typeof v === "object" ? v : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveDownloaderStatus(status) {
+  GM_setValue(DOWNLOADER_STATUS_KEY, JSON.stringify(status));
+}
+
+function activeDownloaderKeys(status = loadDownloaderStatus()) {
+  return Object.keys(status).filter(k => JOB_ACTIVE_STATES.has(status[k]?.state));
+}
+
+// Active jobs plus those whose outcome was lost while the service was unreachable.
+function pollableDownloaderKeys(status = loadDownloaderStatus()) {
+  return Object.keys(status).filter(k => JOB_ACTIVE_STATES.has(status[k]?.state) || status[k]?.state === JOB_UNKNOWN_STATE);
+}
+
+/** Mark every active job as unknown (polling gave up). Returns how many were marked. */
+function markDownloaderJobsUnknown(error) {
+  const status = loadDownloaderStatus();
+  const keys = activeDownloaderKeys(status);
+  const now = new Date().toISOString();
+  keys.forEach(k => { status[k] = { ...status[k], state: JOB_UNKNOWN_STATE, error, updatedAt: now }; });
+  if (keys.length) saveDownloaderStatus(status);
+  return keys.length;
+}
+
+/**
+ * Take or renew the poll lease for this tab. False while another tab holds an unexpired one.
+ * The lease outlives a timed-out request, so a slow poll does not hand it to a second tab.
+ */
+function claimDownloaderLease(tabId, now = Date.now()) {
+  let lease = null;
+  try { lease = JSON.parse(GM_getValue(DOWNLOADER_LEASE_KEY, "null")); } catch {}
+  if (lease && lease.tab !== tabId && Number(lease.until) > now) return false;
+  GM_setValue(DOWNLOADER_LEASE_KEY, JSON.stringify({ tab: tabId, until: now + DOWNLOADER_TIMEOUT_MS + 2 * DOWNLOADER_POLL_MS }));
+  return true;
+}
+
+function releaseDownloaderLease(tabId) {
+  let lease = null;
+  try { lease = JSON.parse(GM_getValue(DOWNLOADER_LEASE_KEY, "null")); } catch {}
+  if (lease?.tab === tabId) GM_setValue(DOWNLOADER_LEASE_KEY, "null");
+}
+
+/**
+ * Queue items on the local downloader (index records: no description html).
+ * Items without selected links are rejected locally. Returns { accepted, rejected }.
+ */
+async function sendToDownloader(items) {
+  const sendable = items.filter(q => q.meta?.downloadlinks?.length);
+  const rejected = items
+    .filter(q => !q.meta?.downloadlinks?.length)
+    .map(q => ({ key: q.key, error: "no selected download links" }));
+  if (!sendable.length) return { accepted: [], rejected };
+
+  const res = await downloaderRequest("/api/jobs", {
+    schemaVersion: SCHEMA_VERSION,
+    scriptVersion: currentScriptVersion(),
+    exportedAt: new Date().toISOString(),
+    items: sendable.map(({ html, ...rest }) => rest)
+  });
+  const accepted = Array.isArray(res?.accepted) ? res.accepted.map(String) : [];
+  (Array.isArray(res?.rejected) ? res.rejected : []).forEach(r => rejected.push({ key: String(r?.key), error: String(r?.error || "rejected") }));
+
+  const status = loadDownloaderStatus();
+  const now = new Date().toISOString();
+  accepted.forEach(k => { status[k] = { ...normalizeJobStatus({ state: "queued" }), updatedAt: now }; });
+  saveDownloaderStatus(status);
+  return { accepted, rejected };
+}
+
+/**
+ * Fetch the status of every active or unknown job and merge it into DOWNLOADER_STATUS_KEY.
+ * Returns { active, finished: [{ key, state, error }] } (jobs that left queued/downloading/unknown).
+ */
+async function pollDownloader() {
+  const keys = pollableDownloaderKeys();
+  if (!keys.length) return { active: 0, finished: [] };
+  const res = await downloaderRequest(`/api/jobs?keys=${keys.map(encodeURIComponent).join(",")}`);
+  const jobs = res?.jobs && typeof res.jobs === "object" ? res.jobs : {};
+
+  // Re-read: another tab may have sent or polled while the request was in flight.
+  const status = loadDownloaderStatus();
+  const now = new Date().toISOString();
+  const finished = [];
+  keys.forEach(k => {
+    if (!JOB_ACTIVE_STATES.has(status[k]?.state) && status[k]?.state !== JOB_UNKNOWN_STATE) return;
+    const next = normalizeJobStatus(jobs[k]);
+    if (!JOB_ACTIVE_STATES.has(next.state)) finished.push({ key: k, state: next.state, error: next.error });
+    status[k] = { ...next, updatedAt: now };
+  });
+  saveDownloaderStatus(status);
+  return { active: activeDownloaderKeys(status).length, finished };
+}
+
+/* =====================================================================================
+ * SEARCH QUERY LANGUAGE
+ * =====================================================================================
+ *
+ *   portrait "film grain"          free text (all words must match somewhere)
+ *   type:lora  base:"SDXL 1.0"     field filters (substring, case-insensitive)
+ *   tag:portrait  dl:partial       exact match fields (dl: none/partial/complete/failed)
+ *   updated:>2026-09-01            dates: > >= < <= = with YYYY-MM-DD or Nd (days ago)
+ *   rating:>=4  links:>1           numbers
+ *   has:downloads  has:air         presence
+ *   -type:checkpoint  -"bad hands" negation
+ * ===================================================================================== */
+
+// Free-text targets (kept from the original substring search, plus annotations)
+function queryTextFields(q) {
+  const u = userFieldsOf(q);
+  return [q.key, q.name, q.meta?.ModelTitle, q.meta?.pageUrl, q.meta?.copiedMessage, u.note, ...u.tags, ...metaFieldsOf(q).triggerWords];
+}
+
+/**
+ * kind: "text" (substring), "exact", "number" (also "1.5k"), "size" ("2GB"), "date", "has".
+ * get(q) returns a value or an array of values (any may match).
+ */
+const QUERY_FIELDS = {
+  name: { kind: "text", get: q => [q.name, q.meta?.ModelTitle] },
+  key: { kind: "text", get: q => q.key },
+  id: { kind: "exact", get: q => String(q.modelId) },
+  version: { kind: "exact", get: q => String(q.versionId) },
+  type: { kind: "text", get: q => { const f = metaFieldsOf(q); return [[f.type, f.subtype].filter(Boolean).join(" "), parseAirUrn(q.meta?.copiedMessage)?.type]; } },
+  base: { kind: "text", get: q => [metaFieldsOf(q).baseModel, parseAirUrn(q.meta?.copiedMessage)?.ecosystem] },
+  eco: { kind: "exact", get: q => parseAirUrn(q.meta?.copiedMessage)?.ecosystem },
+  source: { kind: "exact", get: q => parseAirUrn(q.meta?.copiedMessage)?.source },
+  air: { kind: "text", get: q => q.meta?.copiedMessage },
+  dest: { kind: "text", get: q => { const r = downloadRouteOf(q); return `${r.dir}/${r.prefix}`; } },
+  dl: { kind: "exact", get: q => downloadStateOf(q).state },
+  url: { kind: "text", get: q => [q.meta?.pageUrl, ...(q.meta?.downloadlinks || [])] },
+  meta: { kind: "text", get: q => (q.meta?.metaPairs || []).map(p => `${p?.key}: ${p?.value}`) },
+  tag: { kind: "exact", get: q => userFieldsOf(q).tags },
+  note: { kind: "text", get: q => userFieldsOf(q).note },
+  rating: { kind: "number", get: q => userFieldsOf(q).rating },
+  links: { kind: "number", get: q => (q.meta?.downloadlinks || []).length },
+  updated: { kind: "date", get: q => q.updatedAt },
+  published: { kind: "date", get: q => metaFieldsOf(q).publishedAt },
+  modified: { kind: "date", get: q => metaFieldsOf(q).updatedAt },   // the version's "Updated" on Civitai
+  downloads: { kind: "number", get: q => metaFieldsOf(q).downloads },
+  likes: { kind: "number", get: q => metaFieldsOf(q).likes },
+  reviews: { kind: "number", get: q => metaFieldsOf(q).reviews?.count },
+  sentiment: { kind: "text", get: q => metaFieldsOf(q).reviews?.sentiment },
+  size: { kind: "size", get: q => metaFieldsOf(q).sizeBytes },
+  hash: { kind: "text", get: q => Object.values(metaFieldsOf(q).hashes || {}) },
+  trigger: { kind: "text", get: q => metaFieldsOf(q).triggerWords },
+  has: { kind: "has" }
+};
+
+const QUERY_FIELD_ALIASES = { ecosystem: "eco", tags: "tag", model: "id", basemodel: "base", triggers: "trigger", hashes: "hash" };
+
+const QUERY_HAS = {
+  air: q => !!parseAirUrn(q.meta?.copiedMessage),
+  route: q => downloadRouteOf(q).resolved,
+  links: q => (q.meta?.downloadlinks || []).length > 0,
+  downloads: q => Array.isArray(q.downloads) && q.downloads.length > 0,
+  tags: q => userFieldsOf(q).tags.length > 0,
+  note: q => !!userFieldsOf(q).note.trim(),
+  rating: q => !!userFieldsOf(q).rating,
+  meta: q => Array.isArray(q.meta?.metaPairs) && q.meta.metaPairs.length > 0,
+  trigger: q => metaFieldsOf(q).triggerWords.length > 0,
+  hash: q => Object.keys(metaFieldsOf(q).hashes || {}).length > 0,
+  html: q => (q.htmlLength ?? (q.html || "").length) > 0
+};
+
+class QuerySyntaxError extends Error {
+  constructor(message, pos) {
+    super(pos === undefined ? message : `${message} (at ${pos + 1})`);
+    this.name = "QuerySyntaxError";
+  }
+}
+
+// Split into tokens: { neg, field|null, op, value, pos }
+const QUERY_TEXT_PREFIXES = new Set(["urn", "http", "https"]);
+
+function tokenizeQuery(text) {
+  const tokens = [];
+  const s = text || "";
+  let i = 0;
+
+  const readValue = () => {
+    if (s[i] === '"') {
+      const start = i;
+      const end = s.indexOf('"', i + 1);
+      if (end < 0) throw new QuerySyntaxError("Unterminated quote", start);
+      const v = s.slice(i + 1, end);
+      i = end + 1;
+      return v;
+    }
+    const start = i;
+    while (i < s.length && !/\s/.test(s[i])) i++;
+    return s.slice(start, i);
+  };
+
+  while (i < s.length) {
+    if (/\s/.test(s[i])) { i++; continue; }
+    const pos = i;
+    let neg = false;
+    if (s[i] === "-" && i + 1 < s.length && !/\s/.test(s[i + 1])) { neg = true; i++; }
+
+    // Pasted AIRs ("urn:air:…") and URLs are plain text; any other "word:" is a field.
+    const fm = s.slice(i).match(/^([A-Za-z]+):/);
+    const name = fm?.[1].toLowerCase();
+    if (fm && !QUERY_TEXT_PREFIXES.has(name)) {
+      i += fm[0].length;
+      const om = s.slice(i).match(/^(>=|<=|>|<|=)/);
+      const op = om ? om[1] : null;
+      if (om) i += om[1].length;
+      const value = readValue();
+      if (!value) throw new QuerySyntaxError(`Missing value for "${fm[1]}:"`, pos);
+      tokens.push({ neg, field: name, op, value, pos });
+    } else {
+      const value = readValue();
+      if (!value) throw new QuerySyntaxError("Empty term", pos);
+      tokens.push({ neg, field: null, op: null, value, pos });
+    }
+  }
+  return tokens;
+}
+
+// "2026-09-01" | "30d" -> epoch ms
+function parseQueryDate(v, pos) {
+  const rel = v.match(/^(\d+)d$/i);
+  if (rel) return Date.now() - parseInt(rel[1], 10) * 86400000;
+  if (!/^\d{4}-\d{2}(-\d{2})?$/.test(v)) throw new QuerySyntaxError(`Bad date "${v}" (use YYYY-MM-DD or Nd)`, pos);
+  const t = new Date(v.length === 7 ? `${v}-01` : v).getTime();
+  if (isNaN(t)) throw new QuerySyntaxError(`Bad date "${v}"`, pos);
+  return t;
+}
+
+function compareOp(op, a, b) {
+  switch (op || "=") {
+    case ">": return a > b;
+    case ">=": return a >= b;
+    case "<": return a < b;
+    case "<=": return a <= b;
+    default: return a === b;
+  }
+}
+
+function compileQueryToken(tok) {
+  if (!tok.field) {
+    const needle = safeLower(tok.value);
+    return q => queryTextFields(q).some(v => safeLower(v).includes(needle));
+  }
+
+  const name = QUERY_FIELD_ALIASES[tok.field] || tok.field;
+  const def = QUERY_FIELDS[name];
+  if (!def) throw new QuerySyntaxError(`Unknown field "${tok.field}:" (known: ${Object.keys(QUERY_FIELDS).join(", ")})`, tok.pos);
+
+  const list = (q) => {
+    const v = def.get(q);
+    return (Array.isArray(v) ? v : [v]).filter(x => x !== undefined && x !== null && x !== "");
+  };
+
+  if (def.kind === "has") {
+    const check = QUERY_HAS[safeLower(tok.value)];
+    if (!check) throw new QuerySyntaxError(`Unknown has:${tok.value} (known: ${Object.keys(QUERY_HAS).join(", ")})`, tok.pos);
+    return check;
+  }
+  if (def.kind === "number") {
+    const n = parseCountText(tok.value) ?? Number(tok.value);
+    if (!isFinite(n)) throw new QuerySyntaxError(`"${tok.field}:" needs a number`, tok.pos);
+    return q => list(q).some(v => compareOp(tok.op, Number(v), n));
+  }
+  if (def.kind === "size") {
+    const n = parseSizeText(tok.value);
+    if (n === null) throw new QuerySyntaxError(`"${tok.field}:" needs a size like 2GB or 500MB`, tok.pos);
+    return q => list(q).some(v => compareOp(tok.op, Number(v), n));
+  }
+  if (def.kind === "date") {
+    const t = parseQueryDate(tok.value, tok.pos);
+    // "=" on a day means "that day"
+    if (!tok.op || tok.op === "=") {
+      return q => list(q).some(v => { const d = new Date(v).getTime(); return d >= t && d < t + 86400000; });
+    }
+    return q => list(q).some(v => { const d = new Date(v).getTime(); return !isNaN(d) && compareOp(tok.op, d, t); });
+  }
+  if (tok.op && tok.op !== "=") throw new QuerySyntaxError(`"${tok.field}:" does not support ${tok.op}`, tok.pos);
+
+  const needle = safeLower(tok.value);
+  if (def.kind === "exact") return q => list(q).some(v => safeLower(v) === needle);
+  return q => list(q).some(v => safeLower(v).includes(needle));
+}
+
+/**
+ * Compile a query string to a predicate. All terms are ANDed.
+ * Throws QuerySyntaxError for input it can't parse.
+ */
+function compileQuery(text) {
+  const preds = tokenizeQuery(text).map(tok => {
+    const p = compileQueryToken(tok);
+    return tok.neg ? (q => !p(q)) : p;
+  });
+  if (!preds.length) return () => true;
+  return q => preds.every(p => p(q));
+}
+
+/* =====================================================================================
+ * SORT / GROUP
+ * ===================================================================================== */
+
+const VIEW_SETTINGS_KEY = "civitai_manager_view";
+
+// value(q) -> number | string | null; null always sorts last regardless of direction.
+const SORT_OPTIONS = {
+  updated: { label: "Updated", dir: "desc", value: q => timeOf(q.updatedAt) || null },
+  name: { label: "Name", dir: "asc", value: q => safeLower(q.name).trim() || null },
+  type: { label: "Model type", dir: "asc", value: q => { const f = metaFieldsOf(q); return safeLower([f.type, f.subtype].filter(Boolean).join(" ")) || null; } },
+  base: { label: "Base model", dir: "asc", value: q => safeLower(metaFieldsOf(q).baseModel) || null },
+  published: { label: "Published", dir: "desc", value: q => metaFieldsOf(q).publishedAt },
+  downloads: { label: "Downloads", dir: "desc", value: q => metaFieldsOf(q).downloads },
+  likes: { label: "Likes", dir: "desc", value: q => metaFieldsOf(q).likes },
+  size: { label: "File size", dir: "desc", value: q => metaFieldsOf(q).sizeBytes },
+  rating: { label: "Rating", dir: "desc", value: q => userFieldsOf(q).rating || null }
+};
+
+const GROUP_OPTIONS = {
+  none: { label: "No grouping" },
+  air: { label: "AIR type / ecosystem", groups: q => [airGroupOf(q)] },
+  model: { label: "Model id", groups: q => [String(q.modelId ?? (q.key || "").split(":")[0])] },
+  tag: { label: "Tag", groups: q => { const t = userFieldsOf(q).tags; return t.length ? t : ["(untagged)"]; } }
+};
+
+const DEFAULT_VIEW_SETTINGS = { sort: "updated", dir: "desc", group: "none" };
+
+function loadViewSettings() {
+  try {
+    const v = JSON.parse(GM_getValue(VIEW_SETTINGS_KEY, "{}")) || {};
+    return {
+      sort: SORT_OPTIONS[v.sort] ? v.sort : DEFAULT_VIEW_SETTINGS.sort,
+      dir: v.dir === "asc" || v.dir === "desc" ? v.dir : (SORT_OPTIONS[v.sort]?.dir || DEFAULT_VIEW_SETTINGS.dir),
+      group: GROUP_OPTIONS[v.group] ? v.group : DEFAULT_VIEW_SETTINGS.group
+    };
+  } catch {
+    return { ...DEFAULT_VIEW_SETTINGS };
+  }
+}
+
+function saveViewSettings(v) {
+  try { GM_setValue(VIEW_SETTINGS_KEY, JSON.stringify({ sort: v.sort, dir: v.dir, group: v.group })); } catch {}
+}
+
+// The AIR URN wins; otherwise derive type/ecosystem from meta fields the same way buildAirFromApi does.
+function airGroupOf(q) {
+  const air = parseAirUrn(q.meta?.copiedMessage);
+  if (air) return `${air.type} / ${air.ecosystem}`;
+  const f = metaFieldsOf(q);
+  const type = airTypeFromTypeText(f.type);
+  const eco = airEcosystemFromBaseModel(f.baseModel);
+  return type || eco ? `${type || "?"} / ${eco || "?"}` : "(no AIR)";
+}
+
+// Stable sort; ties fall back to key so the order never depends on storage order.
+function sortItems(items, sortKey, dir) {
+  const opt = SORT_OPTIONS[sortKey] || SORT_OPTIONS[DEFAULT_VIEW_SETTINGS.sort];
+  const sign = dir === "asc" ? 1 : -1;
+  const cmp = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  return items
+    .map(q => ({ q, v: opt.value(q) }))
+    .sort((a, b) => {
+      if (a.v === null && b.v === null) return cmp(a.q.key, b.q.key);
+      if (a.v === null) return 1;
+      if (b.v === null) return -1;
+      return sign * cmp(a.v, b.v) || cmp(a.q.key, b.q.key);
+    })
+    .map(x => x.q);
+}
+
+/**
+ * Sorted items -> [{ id, label, items }]. Groups keep the order of their first item,
+ * so the sort also orders the groups. Tag grouping lists an item under each of its tags.
+ */
+function groupItems(sorted, groupKey) {
+  const opt = GROUP_OPTIONS[groupKey];
+  if (!opt?.groups) return [{ id: "", label: "", items: sorted }];
+  const byId = new Map();
+  for (const q of sorted) {
+    for (const id of opt.groups(q)) {
+      if (!byId.has(id)) byId.set(id, { id, label: id, items: [] });
+      byId.get(id).items.push(q);
+    }
+  }
+  const groups = Array.from(byId.values());
+  if (groupKey === "model") {
+    for (const g of groups) g.label = `Model ${g.id} — ${g.items[0]?.meta?.ModelTitle || g.items[0]?.name || ""}`;
+  }
+  return groups;
+}
+
+/**
+ * Flatten groups into pageable entries: one per item of an expanded group, one per collapsed group.
+ * Returns the page's entries plus totals so pagination runs over the grouped, sorted view.
+ */
+function pageGroupedEntries(groups, collapsed, page, pageSize) {
+  const entries = groupedEntries(groups, collapsed);
+  const totalPages = Math.max(1, Math.ceil(entries.length / pageSize));
+  const p = clamp(page, 1, totalPages);
+  return { page: p, totalPages, total: entries.length, entries: entries.slice((p - 1) * pageSize, p * pageSize) };
+}
+
+function groupedEntries(groups, collapsed) {
+  const entries = [];
+  for (const g of groups) {
+    if (collapsed.has(g.id)) entries.push({ group: g, item: null });
+    else for (const q of g.items) entries.push({ group: g, item: q });
+  }
+  return entries;
+}
+
+// 1-based page showing `key` in the grouped view (its first expanded occurrence), or null.
+function pageOfGroupedKey(groups, collapsed, key, pageSize) {
+  const idx = groupedEntries(groups, collapsed).findIndex(e => e.item?.key === key);
+  return idx < 0 ? null : Math.floor(idx / pageSize) + 1;
+}
+
+/* =====================================================================================
+ * EDITING
+ * ===================================================================================== */
+
+function isHttpUrl(s) {
+  try {
+    const u = new URL(s);
+    return u.protocol === "https:" || u.protocol === "http:";
+  } catch {
+    return false;
+  }
+}
+
+// "a, b,  A" / ["a", "b"] -> ["a", "b"] (trimmed, case-insensitive dedupe, first spelling kept)
+function normalizeTags(input) {
+  const raw = Array.isArray(input) ? input : (typeof input === "string" ? input.split(",") : []);
+  const seen = new Set();
+  const out = [];
+  raw.forEach(t => {
+    const tag = String(t ?? "").replace(/\s+/g, " ").trim();
+    if (!tag || seen.has(tag.toLowerCase())) return;
+    seen.add(tag.toLowerCase());
+    out.push(tag);
+  });
+  return out;
+}
+
+function normalizeRating(v) {
+  const n = parseInt(v, 10);
+  return Number.isInteger(n) && n >= 1 && n <= 5 ? n : null;
+}
+
+function userFieldsOf(item) {
+  const u = item?.user || {};
+  return {
+    tags: Array.isArray(u.tags) ? u.tags : [],
+    note: typeof u.note === "string" ? u.note : "",
+    rating: normalizeRating(u.rating)
+  };
+}
+
+function ratingStars(rating) {
+  return rating ? "★".repeat(rating) + "☆".repeat(5 - rating) : "";
+}
+
+/**
+ * Minimal markdown for notes: escaped first, then headings, lists, **bold**, *italic*,
+ * `code` and [text](http…) links. Never emits raw user markup.
+ */
+function renderNoteMarkdown(md) {
+  const inline = (s) => escapeHtml(s)
+    .replace(/`([^`]+)`/g, "<code>$1</code>")
+    .replace(/\*\*([^*]+)\*\*/g, "<b>$1</b>")
+    .replace(/\*([^*]+)\*/g, "<i>$1</i>")
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)"]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer" style="color:#7fb0ff;">$1</a>');
+
+  const out = [];
+  let inList = false;
+  (md || "").split(/\r?\n/).forEach(line => {
+    const li = line.match(/^\s*[-*]\s+(.*)$/);
+    if (li) {
+      if (!inList) { out.push("<ul style=\"margin:4px 0; padding-left:18px;\">"); inList = true; }
+      out.push(`<li>${inline(li[1])}</li>`);
+      return;
+    }
+    if (inList) { out.push("</ul>"); inList = false; }
+    const h = line.match(/^(#{1,3})\s+(.*)$/);
+    if (h) out.push(`<div style="font-weight:700; color:#d6dae3;">${inline(h[2])}</div>`);
+    else out.push(line.trim() ? `<div>${inline(line)}</div>` : "<div>&nbsp;</div>");
+  });
+  if (inList) out.push("</ul>");
+  return out.join("");
+}
+
+/**
+ * Validate an edit draft { name, downloadlinks, copiedMessage, metaPairs } for `item`.
+ * Returns { errors, warnings } (arrays of strings); save is blocked only by errors.
+ */
+function validateItemEdit(item, draft) {
+  const errors = [];
+  const warnings = [];
+
+  if (!draft.name.trim()) errors.push("Name must not be empty.");
+
+  const seen = new Set();
+  draft.downloadlinks.forEach((l, i) => {
+    const n = i + 1;
+    if (!isHttpUrl(l)) { errors.push(`Link ${n} is not a valid http(s) URL.`); return; }
+    if (seen.has(l)) errors.push(`Link ${n} is a duplicate.`);
+    seen.add(l);
+    if (!/\/api\/download\/models\/\d+/.test(l)) warnings.push(`Link ${n} is not a Civitai /api/download/models/ link.`);
+  });
+
+  const cm = draft.copiedMessage.trim();
+  if (cm) {
+    const air = parseAirUrn(cm);
+    if (!air) {
+      errors.push("AIR must look like urn:air:<ecosystem>:<type>:<source>:<id>[@<version>][.<format>] (lowercase). The downloader would route it to default/.");
+    } else {
+      if (air.id !== String(item.modelId)) warnings.push(`AIR model id ${air.id} differs from item modelId ${item.modelId}.`);
+      if (air.version && item.versionId !== "000000" && air.version !== String(item.versionId)) {
+        warnings.push(`AIR version ${air.version} differs from item versionId ${item.versionId}.`);
+      }
+    }
+  }
+
+  draft.metaPairs.forEach((p, i) => {
+    if (!p.key.trim()) errors.push(`Meta row ${i + 1} has an empty key.`);
+  });
+
+  return { errors, warnings };
+}
+
+// Apply a validated draft on top of the latest stored copy.
+function applyItemEdit(latest, draft) {
+  const next = {
+    ...latest,
+    name: draft.name.trim(),
+    meta: {
+      ...(latest.meta || {}),
+      downloadlinks: draft.downloadlinks.slice(),
+      variants: (latest.meta || {}).variants,
+      copiedMessage: draft.copiedMessage.trim() || null,
+      air: (latest.meta || {}).air,
+      metaPairs: draft.metaPairs.map(p => ({ key: p.key.trim(), value: p.value.trim() || null }))
+    },
+    updatedAt: new Date().toISOString()
+  };
+  syncAirParts(next.meta, "manual");
+  syncMetaFields(next.meta);
+  syncVariants(next.meta);
+  return next;
+}
+
+/* =====================================================================================
+ * IMPORT
+ * ===================================================================================== */
+
+function isValidIso(s) {
+  return typeof s === "string" && !isNaN(new Date(s).getTime());
+}
+
+/**
+ * Validate one imported item and fill what can be derived. Every field (including
+ * `downloads` written by download_civitai_json.py and any unknown extras) is kept.
+ * Returns { item, issues } — `item` is null when the entry is unusable.
+ */
+function normalizeImportedItem(x) {
+  const issues = [];
+  if (!x || typeof x !== "object" || Array.isArray(x)) {
+    return { item: null, issues: [`not an object, skipped`] };
+  }
+
+  const out = { ...x };
+  const fromKey = typeof x.key === "string" ? x.key.match(/^(\d+):(\d+)$/) : null;
+
+  let modelId = x.modelId;
+  if (typeof modelId === "string" && /^\d+$/.test(modelId)) {
+    modelId = parseInt(modelId, 10);
+    issues.push(`modelId was a string`);
+  }
+  if (!Number.isInteger(modelId) && fromKey) {
+    modelId = parseInt(fromKey[1], 10);
+    issues.push(`modelId missing, taken from key`);
+  }
+  if (!Number.isInteger(modelId)) {
+    return { item: null, issues: [`no usable modelId/key, skipped`] };
+  }
+
+  let versionId = x.versionId;
+  if (typeof versionId === "number") versionId = String(versionId);
+  if (typeof versionId !== "string" || !/^\d+$/.test(versionId)) {
+    versionId = fromKey ? fromKey[2] : "000000";
+    issues.push(`versionId missing/invalid, using ${versionId}`);
+  }
+
+  const key = makeKey(modelId, versionId);
+  if (x.key !== undefined && x.key !== key) {
+    return { item: null, issues: [`key ${JSON.stringify(x.key)} does not match modelId/versionId (${key}), skipped`] };
+  }
+  if (x.key === undefined) issues.push(`key missing, derived ${key}`);
+
+  out.key = key;
+  out.modelId = modelId;
+  out.versionId = versionId;
+
+  if (typeof out.name !== "string" || !out.name.trim()) {
+    out.name = `model_${modelId}`;
+    issues.push(`name missing`);
+  }
+  if (typeof out.html !== "string") {
+    if (out.html !== undefined && out.html !== null) issues.push(`html was not a string, dropped`);
+    out.html = "";
+  }
+
+  const meta = (x.meta && typeof x.meta === "object" && !Array.isArray(x.meta)) ? { ...x.meta } : null;
+  if (!meta) issues.push(`meta missing/invalid`);
+  out.meta = meta || {};
+  if (!Array.isArray(out.meta.downloadlinks)) {
+    if (out.meta.downloadlinks !== undefined) issues.push(`meta.downloadlinks was not an array`);
+    out.meta.downloadlinks = [];
+  } else {
+    const links = out.meta.downloadlinks.filter(l => typeof l === "string");
+    if (links.length !== out.meta.downloadlinks.length) issues.push(`non-string download links dropped`);
+    out.meta.downloadlinks = links;
+  }
+  if (out.meta.variants !== undefined && !Array.isArray(out.meta.variants)) {
+    issues.push(`meta.variants was not an array`);
+    out.meta.variants = [];
+  }
+  const linkCount = out.meta.downloadlinks.length;
+  syncVariants(out.meta);
+  if (out.meta.downloadlinks.length < linkCount) issues.push(`duplicate download links merged`);
+  if (out.meta.metaPairs !== undefined && out.meta.metaPairs !== null && !Array.isArray(out.meta.metaPairs)) {
+    issues.push(`meta.metaPairs was not an array`);
+    out.meta.metaPairs = null;
+  }
+
+  const airBefore = out.meta.air;
+  syncAirParts(out.meta, "unknown");
+  if (airBefore && stableStringify(airBefore) !== stableStringify(out.meta.air)) {
+    issues.push(`meta.air did not match copiedMessage, re-parsed`);
+  }
+  syncMetaFields(out.meta);
+
+  if (out.downloads !== undefined && !Array.isArray(out.downloads)) {
+    issues.push(`downloads was not an array`);
+    out.downloads = [];
+  } else if (out.downloads?.some(d => !isDownloadRecord(d))) {
+    issues.push(`${out.downloads.filter(d => !isDownloadRecord(d)).length} download records without url dropped`);
+    out.downloads = out.downloads.filter(isDownloadRecord);
+  }
+
+  if (!isValidIso(out.updatedAt)) {
+    out.updatedAt = new Date().toISOString();
+    issues.push(`updatedAt missing/invalid, set to now`);
+  }
+
+  return { item: out, issues };
+}
+
+/**
+ * Shared import pipeline: schema check → migrate → validate.
+ * `entries` = [{ raw, label }]. Returns { items, issues, skipped, migrationNotes }.
+ */
+function collectImportedItems(entries) {
+  const items = [];
+  const issues = [];
+  const migrationNotes = [];
+  let skipped = 0;
+  entries.forEach(({ raw, label }) => {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      issues.push(`${label}: not an object, skipped`);
+      skipped++;
+      return;
+    }
+    const mig = migrateItem(raw);
+    if (mig.tooNew) {
+      issues.push(`${label}: schema v${schemaVersionOf(raw)} is newer than this script (v${SCHEMA_VERSION}), skipped`);
+      skipped++;
+      return;
+    }
+    migrationNotes.push(...mig.notes);
+
+    const r = normalizeImportedItem(mig.item);
+    if (r.issues.length) issues.push(`${label}: ${r.issues.join("; ")}`);
+    if (r.item) items.push(r.item);
+    else skipped++;
+  });
+  return { items, issues, skipped, migrationNotes };
+}
+
+/**
+ * Parse an export (`{ items: [...] }`, or a bare array) without losing fields.
+ * Returns { items, issues, skipped, migrationNotes }.
+ */
+function importFromJSON(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.items;
+  if (!Array.isArray(list)) throw new Error("Invalid JSON: no items array");
+  if (!Array.isArray(data)) assertImportSchema(data.schemaVersion, data.scriptVersion);
+
+  return collectImportedItems(list.map((x, i) => ({
+    raw: x,
+    label: `item #${i + 1}${x?.key ? ` (${x.key})` : ""}`
+  })));
+}
+
+/**
+ * Only the `downloads` records of an export the Python downloader wrote back to; everything
+ * else in the file is ignored, so scraped data and annotations stay as they are locally.
+ * Returns { results: Map<key, records>, issues, skipped }.
+ */
+function parseDownloadResults(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data?.items;
+  if (!Array.isArray(list)) throw new Error("Invalid JSON: no items array");
+
+  const results = new Map();
+  const issues = [];
+  let skipped = 0;
+  list.forEach((x, i) => {
+    const label = `item #${i + 1}${x?.key ? ` (${x.key})` : ""}`;
+    if (!x || typeof x !== "object" || typeof x.key !== "string" || !x.key) { skipped++; return; }
+    if (x.downloads === undefined) return;
+    if (!Array.isArray(x.downloads)) { issues.push(`${label}: downloads was not an array`); return; }
+    const records = x.downloads.filter(isDownloadRecord);
+    if (records.length < x.downloads.length) issues.push(`${label}: ${x.downloads.length - records.length} download records without url dropped`);
+    if (records.length) results.set(x.key, mergeDownloadRecords(results.get(x.key), records));
+  });
+  return { results, issues, skipped };
+}
+
+/**
+ * Old (pre-archive) HTML exports: a CIVITAI_ITEM comment, <h1>name</h1>, the description,
+ * then <hr/>. Only ids, name and description can be recovered.
+ */
+function importFromLegacyHTML(text) {
+  const items = [];
+  const issues = [];
+  const regex = /<!--\s*CIVITAI_ITEM([\s\S]*?)-->/g;
+  const marks = [];
+  let m;
+  while ((m = regex.exec(text))) marks.push({ block: m[1], start: m.index, end: regex.lastIndex });
+
+  marks.forEach((mk, i) => {
+    const modelId = mk.block.match(/modelId=(\d+)/)?.[1];
+    const versionId = mk.block.match(/versionId=([0-9]+)/)?.[1] || "000000";
+    if (!modelId) { issues.push(`legacy block #${i + 1}: no modelId, skipped`); return; }
+
+    let body = text.slice(mk.end, i + 1 < marks.length ? marks[i + 1].start : text.length).trim();
+    let name = null;
+    const h1 = body.match(/^<h1>([\s\S]*?)<\/h1>/i);
+    if (h1) {
+      const tmp = document.createElement("textarea");
+      tmp.innerHTML = h1[1];
+      name = tmp.value.trim() || null;
+      body = body.slice(h1[0].length);
+    }
+    body = body.replace(/<hr\s*\/?>\s*$/i, "").trim();
+
+    const key = makeKey(modelId, versionId);
+    items.push({
+      raw: {
+        key,
+        modelId: parseInt(modelId, 10),
+        versionId,
+        name: name || key,
+        html: body,
+        meta: {},
+        updatedAt: new Date().toISOString()
+      },
+      label: `legacy block #${i + 1} (${key})`
+    });
+  });
+
+  const out = collectImportedItems(items);
+  out.skipped += marks.length - items.length;
+  out.issues.unshift(...issues);
+  if (out.items.length) out.issues.push(`legacy HTML export: metadata (links, metaPairs, AIR) not available for ${out.items.length} items`);
+  return out;
+}
+
+/**
+ * Read an HTML archive written by exportAll. Falls back to the legacy comment format.
+ * Returns { items, issues, skipped } like importFromJSON.
+ */
+function importFromHTML(text) {
+  const doc = new DOMParser().parseFromString(text, "text/html");
+  const blocks = qsa('script[type="application/json"][data-civitai-item]', doc);
+  if (!blocks.length) return importFromLegacyHTML(text);
+
+  const fmtMeta = qs('meta[name="civitai-schema-version"]', doc);
+  assertImportSchema(fmtMeta?.getAttribute("content"), qs('meta[name="civitai-script-version"]', doc)?.getAttribute("content"));
+
+  const entries = [];
+  const issues = [];
+  let skipped = 0;
+  blocks.forEach((sc, i) => {
+    const label = `item #${i + 1} (${sc.getAttribute("data-civitai-item")})`;
+    try {
+      entries.push({ raw: JSON.parse(sc.textContent), label });
+    } catch (e) {
+      issues.push(`${label}: embedded JSON unreadable (${e.message}), skipped`);
+      skipped++;
+    }
+  });
+
+  const out = collectImportedItems(entries);
+  out.issues.unshift(...issues);
+  out.skipped += skipped;
+  return out;
+}
+
+/* =====================================================================================
+ * IMPORT MERGE (preview + conflict policies)
+ * ===================================================================================== */
+
+// Fields shown in the field-level diff, in display order.
+const DIFF_FIELDS = ["name", "links", "metaPairs", "copiedMessage", "html", "tags", "note", "rating"];
+
+const IMPORT_CLASSES = ["new", "identical", "newer", "older", "conflict"];
+const IMPORT_POLICIES = ["local", "incoming", "merge"];
+
+// Default policy per class; "identical" has nothing to write either way.
+const DEFAULT_IMPORT_POLICY = {
+  new: "incoming",
+  identical: "local",
+  newer: "incoming",
+  older: "local",
+  conflict: "merge"
+};
+
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v === undefined ? null : v);
+}
+
+function diffFieldValue(item, field) {
+  switch (field) {
+    case "name": return item?.name || "";
+    case "links": return Array.isArray(item?.meta?.downloadlinks) ? item.meta.downloadlinks : [];
+    case "metaPairs": return Array.isArray(item?.meta?.metaPairs) ? item.meta.metaPairs : [];
+    case "copiedMessage": return item?.meta?.copiedMessage || "";
+    case "html": return item?.html || "";
+    case "tags": return userFieldsOf(item).tags;
+    case "note": return userFieldsOf(item).note;
+    case "rating": return userFieldsOf(item).rating || "";
+    default: return null;
+  }
+}
+
+function isEmptyFieldValue(v) {
+  return Array.isArray(v) ? v.length === 0 : !v;
+}
+
+/**
+ * Field-level diff between local and incoming.
+ * Returns [{ field, local, incoming }] for fields that differ.
+ */
+function diffItemFields(local, incoming) {
+  const out = [];
+  DIFF_FIELDS.forEach(field => {
+    const a = diffFieldValue(local, field);
+    const b = diffFieldValue(incoming, field);
+    if (stableStringify(a) !== stableStringify(b)) out.push({ field, local: a, incoming: b });
+  });
+  return out;
+}
+
+function timeOf(iso) {
+  const t = new Date(iso).getTime();
+  return isNaN(t) ? 0 : t;
+}
+
+/**
+ * Sort one incoming item against the local copy:
+ *   new | identical | newer | older | conflict
+ * "conflict" = same timestamp but different content, or the newer side is a stub that
+ * would drop fields (html, links, metaPairs, AIR) the other side has.
+ */
+function classifyIncoming(local, incoming) {
+  if (!local) return { cls: "new", diffs: [] };
+
+  const { updatedAt: _a, ...restLocal } = local;
+  const { updatedAt: _b, ...restIncoming } = incoming;
+  const diffs = diffItemFields(local, incoming);
+  if (!diffs.length && stableStringify(restLocal) === stableStringify(restIncoming)) {
+    return { cls: "identical", diffs };
+  }
+
+  const tl = timeOf(local.updatedAt);
+  const ti = timeOf(incoming.updatedAt);
+  if (tl === ti) return { cls: "conflict", diffs };
+
+  const newer = ti > tl ? incoming : local;
+  const older = ti > tl ? local : incoming;
+  const loses = DIFF_FIELDS.some(f => isEmptyFieldValue(diffFieldValue(newer, f)) && !isEmptyFieldValue(diffFieldValue(older, f)));
+  if (loses) return { cls: "conflict", diffs };
+
+  return { cls: ti > tl ? "newer" : "older", diffs };
+}
+
+// Files are identified by url + path; failed attempts (no path) by url + when + why.
+function mergeDownloadRecords(a, b) {
+  const seen = new Set();
+  return [...(a || []), ...(b || [])].filter(d => {
+    const k = d?.error ? `${d.url}|${d.failed_at}|${d.error}` : `${d?.url}|${d?.relative_path}`;
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+/**
+ * Field merge: the newer side wins per field unless it is empty there; download links
+ * and download records are unioned. Unknown extra fields: newer side wins.
+ */
+function mergeItemFields(local, incoming) {
+  const incomingNewer = timeOf(incoming.updatedAt) >= timeOf(local.updatedAt);
+  const newer = incomingNewer ? incoming : local;
+  const older = incomingNewer ? local : incoming;
+  const pick = (field) => {
+    const v = diffFieldValue(newer, field);
+    return isEmptyFieldValue(v) ? diffFieldValue(older, field) : v;
+  };
+
+  const out = {
+    ...older,
+    ...newer,
+    meta: { ...(older.meta || {}), ...(newer.meta || {}) }
+  };
+  out.name = pick("name");
+  out.html = pick("html");
+  out.meta.downloadlinks = Array.from(new Set([...diffFieldValue(newer, "links"), ...diffFieldValue(older, "links")]));
+  out.meta.variants = [...variantsOf(newer), ...variantsOf(older)];
+  out.meta.metaPairs = pick("metaPairs");
+  out.meta.copiedMessage = pick("copiedMessage") || null;
+  out.meta.air = newer.meta?.copiedMessage ? newer.meta?.air : older.meta?.air;
+  syncAirParts(out.meta, "unknown");
+  syncMetaFields(out.meta);
+  syncVariants(out.meta);
+  out.user = {
+    tags: normalizeTags([...diffFieldValue(newer, "tags"), ...diffFieldValue(older, "tags")]),
+    note: pick("note"),
+    rating: normalizeRating(pick("rating"))
+  };
+
+  if (Array.isArray(local.downloads) || Array.isArray(incoming.downloads)) {
+    out.downloads = mergeDownloadRecords(local.downloads, incoming.downloads);
+  }
+  const downloadsAt = Math.max(timeOf(local.downloadsUpdatedAt), timeOf(incoming.downloadsUpdatedAt));
+  if (downloadsAt) out.downloadsUpdatedAt = new Date(downloadsAt).toISOString();
+  out.updatedAt = new Date(Math.max(timeOf(local.updatedAt), timeOf(incoming.updatedAt)) || Date.now()).toISOString();
+  return out;
+}
+
+/**
+ * Build the import plan: one entry per incoming item (duplicates inside the file:
+ * last one wins, same as before).
+ */
+function planImport(localItems, incomingItems) {
+  const localByKey = new Map((localItems || []).filter(x => x && x.key).map(x => [x.key, x]));
+  const incomingByKey = new Map();
+  (incomingItems || []).forEach(x => { if (x && x.key) incomingByKey.set(x.key, x); });
+
+  return Array.from(incomingByKey.values()).map(incoming => {
+    const local = localByKey.get(incoming.key) || null;
+    const { cls, diffs } = classifyIncoming(local, incoming);
+    return { key: incoming.key, local, incoming, cls, diffs, policy: DEFAULT_IMPORT_POLICY[cls] };
+  });
+}
+
+/**
+ * Items to write for a plan; "local" entries write nothing. `latest` (key -> item or null,
+ * read right before writing) stands in for the previewed local copy. A key whose copy
+ * changed after the preview is merged into the latest copy instead of being replaced, so
+ * edits made meanwhile (other tabs, Import Results) survive; its key goes to `remerged`.
+ */
+function resolveImportPlan(plan, latest = null, remerged = []) {
+  const out = [];
+  plan.forEach(e => {
+    if (e.policy === "local") return;
+    const local = latest ? latest.get(e.key) ?? null : e.local;
+    const changed = !!latest && stableStringify(local) !== stableStringify(e.local);
+    if (changed) remerged.push(e.key);
+    if (e.policy === "incoming" && !changed) out.push(e.incoming);
+    else out.push(local ? mergeItemFields(local, e.incoming) : e.incoming);
+  });
+  return out;
+}
+
+/* =====================================================================================
+ * HISTORY DIFF
+ * ===================================================================================== */
+
+const LINE_DIFF_MAX_CELLS = 4000000;
+
+// Break description HTML into one tag/text run per line so small edits give small diffs.
+function htmlToDiffLines(html) {
+  return String(html || "")
+    .replace(/>\s*</g, ">\n<")
+    .split("\n")
+    .map(l => l.trim())
+    .filter(Boolean);
+}
+
+/**
+ * LCS line diff -> [{ op: " " | "-" | "+", text }]. Common prefix/suffix are trimmed first;
+ * when the remaining middle is too large for the table it is shown as remove-all/add-all.
+ */
+function diffLines(a, b) {
+  let pre = 0;
+  while (pre < a.length && pre < b.length && a[pre] === b[pre]) pre++;
+  let suf = 0;
+  while (suf < a.length - pre && suf < b.length - pre && a[a.length - 1 - suf] === b[b.length - 1 - suf]) suf++;
+
+  const am = a.slice(pre, a.length - suf);
+  const bm = b.slice(pre, b.length - suf);
+  const out = a.slice(0, pre).map(text => ({ op: " ", text }));
+
+  if (am.length * bm.length > LINE_DIFF_MAX_CELLS) {
+    am.forEach(text => out.push({ op: "-", text }));
+    bm.forEach(text => out.push({ op: "+", text }));
+  } else {
+    const n = am.length, m = bm.length;
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = am[i] === bm[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0, j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && am[i] === bm[j]) { out.push({ op: " ", text: am[i] }); i++; j++; }
+      else if (i < n && (j >= m || lcs[i + 1][j] >= lcs[i][j + 1])) { out.push({ op: "-", text: am[i] }); i++; }
+      else { out.push({ op: "+", text: bm[j] }); j++; }
+    }
+  }
+
+  a.slice(a.length - suf).forEach(text => out.push({ op: " ", text }));
+  return out;
+}
+
+/**
+ * Field-level diff between two snapshots (older `a`, newer `b`).
+ * Returns { name, air, links, metaPairs, html, changed }.
+ */
+function diffSnapshots(a, b) {
+  const linksA = Array.isArray(a?.meta?.downloadlinks) ? a.meta.downloadlinks : [];
+  const linksB = Array.isArray(b?.meta?.downloadlinks) ? b.meta.downloadlinks : [];
+  const pairsMap = s => new Map((Array.isArray(s?.meta?.metaPairs) ? s.meta.metaPairs : []).map(p => [p?.key || "", p?.value || ""]));
+  const pa = pairsMap(a), pb = pairsMap(b);
+
+  const metaPairs = [];
+  new Set([...pa.keys(), ...pb.keys()]).forEach(k => {
+    const from = pa.has(k) ? pa.get(k) : null;
+    const to = pb.has(k) ? pb.get(k) : null;
+    if (from !== to) metaPairs.push({ key: k, from, to });
+  });
+
+  const name = (a?.name || "") !== (b?.name || "") ? { from: a?.name || "", to: b?.name || "" } : null;
+  const airA = a?.meta?.copiedMessage || "", airB = b?.meta?.copiedMessage || "";
+  const air = airA !== airB ? { from: airA, to: airB } : null;
+  const links = { added: linksB.filter(l => !linksA.includes(l)), removed: linksA.filter(l => !linksB.includes(l)) };
+  const html = (a?.html || "") === (b?.html || "") ? [] : diffLines(htmlToDiffLines(a?.html), htmlToDiffLines(b?.html));
+
+  return {
+    name,
+    air,
+    links,
+    metaPairs,
+    html,
+    changed: !!(name || air || links.added.length || links.removed.length || metaPairs.length || html.length)
+  };
+}
+
+/* =====================================================================================
+ * EXPORT
+ * ===================================================================================== */
+
+async function downloadFile(name, text, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+const HTML_EXPORT_FORMAT = "2";
+
+// JSON that is safe inside <script type="application/json"> (no "</script>" / "<!--").
+function jsonForScriptTag(v) {
+  return JSON.stringify(v, null, 2)
+    .replace(/</g, "\\u003c")
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029");
+}
+
+function htmlAnchorForKey(key) {
+  return `item-${String(key).replace(/[^0-9A-Za-z_-]/g, "-")}`;
+}
+
+/**
+ * Self-describing archive: readable page (TOC + one section per item) with each item's
+ * full JSON embedded in <script type="application/json" data-civitai-item>, which is
+ * what importFromHTML reads back.
+ */
+function buildExportHtml(queue, exportedAt) {
+  const toc = queue.map(q => `
+      <li><a href="#${htmlAnchorForKey(q.key)}">${escapeHtml(q.name)}</a> <span class="muted">${escapeHtml(q.key)}</span></li>`).join("");
+
+  const sections = queue.map(q => {
+    const links = Array.isArray(q.meta?.downloadlinks) ? q.meta.downloadlinks : [];
+    const pairs = Array.isArray(q.meta?.metaPairs) ? q.meta.metaPairs : [];
+    return `
+  <section class="item" id="${htmlAnchorForKey(q.key)}">
+    <h2>${escapeHtml(q.name)}</h2>
+    <div class="muted">Key ${escapeHtml(q.key)} • ModelId ${escapeHtml(String(q.modelId))} • VersionId ${escapeHtml(String(q.versionId))} • Updated ${escapeHtml(q.updatedAt || "")}</div>
+    ${safeHttpUrl(q.meta?.pageUrl) ? `<div><a href="${escapeHtml(safeHttpUrl(q.meta.pageUrl))}">${escapeHtml(q.meta.pageUrl)}</a></div>` : ""}
+    ${q.meta?.copiedMessage ? `<div>AIR <code>${escapeHtml(q.meta.copiedMessage)}</code></div>` : ""}
+    <h3>Download links</h3>
+    ${links.length ? `<ul>${links.map(l => `<li>${safeHttpUrl(l) ? `<a href="${escapeHtml(safeHttpUrl(l))}">${escapeHtml(l)}</a>` : escapeHtml(l)}</li>`).join("")}</ul>` : `<div class="muted">(none)</div>`}
+    <h3>Meta</h3>
+    ${pairs.length ? `<table>${pairs.map(p => `<tr><td>${escapeHtml(p.key)}</td><td>${escapeHtml(p.value)}</td></tr>`).join("")}</table>` : `<div class="muted">(none)</div>`}
+    <h3>Description</h3>
+    <div class="desc">${sanitizeDescriptionHtml(q.html).html}</div>
+    <script type="application/json" data-civitai-item="${escapeHtml(q.key)}">${jsonForScriptTag(q)}</script>
+  </section>`;
+  }).join("\n");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="civitai-export-format" content="${HTML_EXPORT_FORMAT}">
+  <meta name="civitai-exported-at" content="${escapeHtml(exportedAt)}">
+  <meta name="civitai-schema-version" content="${SCHEMA_VERSION}">
+  <meta name="civitai-script-version" content="${escapeHtml(currentScriptVersion() || "")}">
+  <title>Civitai export (${queue.length} items)</title>
+  <style>
+    body { font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; max-width: 1100px; margin: 24px auto; padding: 0 16px; background: #1f232a; color: #abb2bf; line-height: 1.45; }
+    a { color: #7fb0ff; }
+    h1, h2, h3 { color: #d6dae3; }
+    h3 { font-size: 14px; margin: 14px 0 6px; }
+    .muted { color: #8b93a5; font-size: 12px; }
+    .item { border-top: 1px solid rgba(255,255,255,.12); padding: 12px 0 24px; }
+    table { border-collapse: collapse; font-size: 13px; }
+    td { padding: 4px 10px 4px 0; border-bottom: 1px solid rgba(255,255,255,.06); vertical-align: top; }
+    code { background: #12151a; padding: 1px 4px; border-radius: 4px; }
+    .desc { background: rgba(255,255,255,.03); border-radius: 8px; padding: 10px; overflow: auto; }
+    .desc img { max-width: 100%; height: auto; }
+  </style>
+</head>
+<body>
+  <h1>Civitai export</h1>
+  <div class="muted">Exported ${escapeHtml(exportedAt)} • ${queue.length} items • format ${HTML_EXPORT_FORMAT}</div>
+  <h2>Contents</h2>
+  <ol>${toc}
+  </ol>
+${sections}
+</body>
+</html>
+`;
+}
+
+async function exportAll(queue) {
+  const exportedAt = new Date().toISOString();
+  const json = {
+    schemaVersion: SCHEMA_VERSION,
+    scriptVersion: currentScriptVersion(),
+    exportedAt,
+    items: queue
+  };
+  await downloadFile(
+    "civitai_export.json",
+    JSON.stringify(json, null, 2),
+    "application/json;charset=utf-8"
+  );
+
+  await downloadFile(
+    "civitai_export.html",
+    buildExportHtml(queue, exportedAt),
+    "text/html;charset=utf-8"
+  );
+}
+
+/* ---------- Download plans (CSV / Markdown / aria2 / shell) ---------- */
+
+const EXPORT_SETTINGS_KEY = "civitai_manager_export";
+
+// Query parameters that carry credentials; stripped from every generated download file.
+const CREDENTIAL_PARAMS = ["token", "api_key", "apikey", "access_token"];
+
+function stripCredentialParams(u) {
+  try {
+    const url = new URL(u);
+    CREDENTIAL_PARAMS.forEach(p => url.searchParams.delete(p));
+    return url.toString();
+  } catch {
+    return String(u || "");
+  }
+}
+
+// Server file names end up in paths; never let one climb out of its folder.
+function safeFileName(name) {
+  const n = String(name || "").replace(/[\u0000-\u001f\u007f/\\]/g, "_").trim();
+  return n === "." || n === ".." ? "_" : n;
+}
+
+const ROUTE_FALLBACK_REASONS = {
+  missing: "no AIR URN",
+  invalid: "AIR URN does not parse"
+};
+
+/**
+ * Same routing as parse_air() in download_civitai_json.py: a valid AIR sends files to
+ * `<type>/` with an `<ecosystem>_` prefix, anything else lands in `default/` unprefixed.
+ * Returns { dir, prefix, resolved, reason } with reason "missing" | "invalid" | null.
+ */
+function downloadRouteOf(item) {
+  const cm = item?.meta?.copiedMessage;
+  const air = parseAirUrn(cm);
+  if (air) return { dir: air.type, prefix: `${air.ecosystem}_`, resolved: true, reason: null };
+  return { dir: "default", prefix: "", resolved: false, reason: typeof cm === "string" && cm.trim() ? "invalid" : "missing" };
+}
+
+/**
+ * Where download_civitai_json.py would put each selected link:
+ * `<type>/<ecosystem>_<filename>` with a valid AIR, `default/<filename>` without.
+ * `fileName`/`relativePath` are null when the name is only known from the server's
+ * Content-Disposition; `prefix` is what goes in front of it. Known paths that collide
+ * within the batch get the downloader's `__2`, `__3` suffixes.
+ */
+function planDownloads(items) {
+  const taken = new Set();
+  const uniquify = (dir, name) => {
+    const dot = name.lastIndexOf(".");
+    const stem = dot > 0 ? name.slice(0, dot) : name;
+    const ext = dot > 0 ? name.slice(dot) : "";
+    let candidate = name;
+    for (let i = 2; taken.has(`${dir}/${candidate}`); i++) candidate = `${stem}__${i}${ext}`;
+    taken.add(`${dir}/${candidate}`);
+    return candidate;
+  };
+
+  const rows = [];
+  (items || []).forEach(item => {
+    const { dir, prefix } = downloadRouteOf(item);
+    const byUrl = new Map(variantsOf(item).map(v => [v.url, v]));
+    const links = Array.from(new Set(Array.isArray(item.meta?.downloadlinks) ? item.meta.downloadlinks : []));
+    links.forEach(link => {
+      const variant = byUrl.get(link) || variantFromUrl(link);
+      const fileName = variant.fileName ? uniquify(dir, prefix + safeFileName(variant.fileName)) : null;
+      rows.push({
+        item,
+        variant,
+        url: stripCredentialParams(link),
+        dir,
+        prefix,
+        fileName,
+        relativePath: fileName ? `${dir}/${fileName}` : null
+      });
+    });
+  });
+  return rows;
+}
+
+function loadExportSettings() {
+  try {
+    const v = JSON.parse(GM_getValue(EXPORT_SETTINGS_KEY, "{}")) || {};
+    return { format: EXPORT_FORMATS[v.format] ? v.format : "archive", skipComplete: v.skipComplete === true };
+  } catch {
+    return { format: "archive", skipComplete: false };
+  }
+}
+
+function saveExportSettings(v) {
+  try { GM_setValue(EXPORT_SETTINGS_KEY, JSON.stringify({ format: v.format, skipComplete: !!v.skipComplete })); } catch {}
+}
 
-function importFromJSON(text) {
-  const data = JSON.parse(text);
-  if (!Array.isArray(data.items)) throw new Error("Invalid JSON");
-  return data.items.map(x => ({
-    key: x.key,
-    modelId: x.modelId,
-    versionId: x.versionId,
-    name: x.name,
-    html: "",
-    meta: x.meta,
-    updatedAt: new Date().toISOString()
-  }));
+// RFC 4180 cell; leading = + - @ are neutralised so spreadsheets don't run them as formulas.
+function csvCell(v) {
+  let s = v === null || v === undefined ? "" : String(v);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
 }
 
-function importFromHTML(text) {
-  const items = [];
-  const regex = /<!--\s*CIVITAI_ITEM([\s\S]*?)-->/g;
-  let m;
-  while ((m = regex.exec(text))) {
-    const block = m[1];
-    const modelId = block.match(/modelId=(\d+)/)?.[1];
-    const versionId = block.match(/versionId=([0-9]+)/)?.[1] || "000000";
-    if (!modelId) continue;
-    const key = makeKey(modelId, versionId);
-    items.push({
-      key,
-      modelId: parseInt(modelId, 10),
-      versionId,
-      name: key,
-      html: text,
-      meta: {},
-      updatedAt: new Date().toISOString()
-    });
-  }
-  return items;
+const CSV_COLUMNS = [
+  ["key", r => r.item.key],
+  ["model_id", r => r.item.modelId],
+  ["version_id", r => r.item.versionId],
+  ["name", r => r.item.name],
+  ["type", r => { const f = metaFieldsOf(r.item); return [f.type, f.subtype].filter(Boolean).join(" "); }],
+  ["base_model", r => metaFieldsOf(r.item).baseModel],
+  ["air", r => r.item.meta?.copiedMessage],
+  ["variant", r => r.variant && variantLabel(r.variant)],
+  ["file_name", r => r.variant?.fileName],
+  ["size_bytes", r => r.variant?.sizeBytes],
+  ["url", r => r.url],
+  ["target_path", r => r.relativePath || (r.url ? `${r.dir}/${r.prefix}<server file name>` : "")],
+  ["tags", r => userFieldsOf(r.item).tags.join("; ")],
+  ["rating", r => userFieldsOf(r.item).rating],
+  ["page_url", r => r.item.meta?.pageUrl]
+];
+
+// One row per selected download; items without any get a single row with empty file columns.
+function buildExportCsv(items) {
+  const plan = planDownloads(items);
+  const rows = items.flatMap(item => {
+    const own = plan.filter(r => r.item === item);
+    return own.length ? own : [{ item, variant: null, url: "", dir: "", prefix: "", relativePath: null }];
+  });
+  const lines = [CSV_COLUMNS.map(([h]) => h).join(",")]
+    .concat(rows.map(r => CSV_COLUMNS.map(([, get]) => csvCell(get(r))).join(",")));
+  // BOM so Excel opens it as UTF-8
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
 }
 
-/* =====================================================================================
- * EXPORT
- * ===================================================================================== */
+function mdEscape(s) {
+  return String(s ?? "").replace(/([\\`*_[\]<>|#])/g, "\\$1").replace(/\r?\n/g, " ");
+}
 
-async function downloadFile(name, text, type) {
-  const blob = new Blob([text], { type });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = name;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  setTimeout(() => URL.revokeObjectURL(url), 60000);
+// Link targets: a bare ")" would end the Markdown link early.
+function mdUrl(u) {
+  return String(u || "").replace(/\(/g, "%28").replace(/\)/g, "%29").replace(/\s/g, "%20");
 }
 
-async function exportAll(queue) {
-  const json = {
-    exportedAt: new Date().toISOString(),
-    items: queue
-  };
-  await downloadFile(
-    "civitai_export.json",
-    JSON.stringify(json, null, 2),
-    "application/json;charset=utf-8"
-  );
+function buildExportMarkdown(items, exportedAt) {
+  const plan = planDownloads(items);
+  const out = [`# Civitai catalogue`, ``, `Exported ${exportedAt} · ${items.length} items`, ``];
+  items.forEach(item => {
+    const f = metaFieldsOf(item);
+    const u = userFieldsOf(item);
+    const page = safeHttpUrl(item.meta?.pageUrl);
+    out.push(`## ${page ? `[${mdEscape(item.name)}](${mdUrl(page)})` : mdEscape(item.name)}`, ``);
+    out.push(`- Key: \`${item.key}\``);
+    const typeLine = [
+      f.type && `Type: ${mdEscape([f.type, f.subtype && `(${f.subtype})`].filter(Boolean).join(" "))}`,
+      f.baseModel && `Base model: ${mdEscape(f.baseModel)}`,
+      f.publishedAt && `Published: ${f.publishedAt}`
+    ].filter(Boolean).join(" · ");
+    if (typeLine) out.push(`- ${typeLine}`);
+    if (item.meta?.copiedMessage) out.push(`- AIR: \`${String(item.meta.copiedMessage).replace(/`/g, "")}\``);
+    if (f.triggerWords.length) out.push(`- Trigger words: ${f.triggerWords.map(w => `\`${w.replace(/`/g, "")}\``).join(", ")}`);
+    const userLine = [
+      u.tags.length && `Tags: ${u.tags.map(mdEscape).join(", ")}`,
+      u.rating && `Rating: ${ratingStars(u.rating)}`
+    ].filter(Boolean).join(" · ");
+    if (userLine) out.push(`- ${userLine}`);
+    const files = plan.filter(r => r.item === item);
+    if (files.length) {
+      out.push(`- Files:`);
+      files.forEach(r => {
+        const size = r.variant.sizeBytes ? ` (${formatSizeKB(r.variant.sizeBytes / 1024)})` : "";
+        const target = r.relativePath || `${r.dir}/${r.prefix}…`;
+        out.push(`  - [${mdEscape(variantLabel(r.variant))}](${mdUrl(r.url)})${size} → \`${target}\``);
+      });
+    } else {
+      out.push(`- Files: none selected`);
+    }
+    out.push(``);
+  });
+  return out.join("\n");
+}
 
-  const html = queue.map(q => `
-<!-- CIVITAI_ITEM
-modelId=${q.modelId}
-versionId=${q.versionId}
-key=${q.key}
--->
-<h1>${escapeHtml(q.name)}</h1>
-${q.html}
-<hr/>
-`).join("\n");
+function buildExportAria2(items, exportedAt) {
+  const plan = planDownloads(items);
+  const out = [
+    `# Civitai aria2 input · exported ${exportedAt} · ${plan.length} files`,
+    `# Run from the target directory (per-entry dir= is relative to it):`,
+    `#   aria2c -i civitai_download.aria2.txt -c --auto-file-renaming=false --header="Authorization: Bearer $CIVIT_API"`,
+    `# No token is stored in this file. Layout: <type>/<ecosystem>_<filename>, default/<filename> without AIR.`,
+    ``
+  ];
+  plan.forEach(r => {
+    out.push(`# ${singleLine(r.item.name)} (${singleLine(r.item.key)}) · ${singleLine(variantLabel(r.variant))}`);
+    if (!r.fileName) out.push(`# file name comes from the server; add the "${singleLine(r.prefix)}" prefix by hand if needed`);
+    out.push(r.url, `  dir=${r.dir}`);
+    if (r.fileName) out.push(`  out=${r.fileName}`);
+    out.push(``);
+  });
+  return out.join("\n");
+}
 
-  await downloadFile(
-    "civitai_export.html",
-    html,
-    "text/html;charset=utf-8"
-  );
+function shellQuote(s) {
+  return `'${String(s ?? "").replace(/'/g, `'\\''`)}'`;
+}
+
+function buildExportShell(items, exportedAt) {
+  const plan = planDownloads(items);
+  const out = [
+    `#!/usr/bin/env bash`,
+    `# Civitai download script · exported ${exportedAt} · ${plan.length} files`,
+    `# Usage: CIVIT_API=<token> bash civitai_download.sh [target_dir]`,
+    `# The token is read from the environment at run time and never stored in this file.`,
+    `# Layout matches download_civitai_json.py: <type>/<ecosystem>_<filename>, default/<filename> without AIR.`,
+    `# Existing files are skipped, so the script can be re-run after an interruption.`,
+    `set -euo pipefail`,
+    ``,
+    `ROOT="\${1:-.}"`,
+    `AUTH=()`,
+    `if [ -n "\${CIVIT_API:-}" ]; then AUTH=(-H "Authorization: Bearer \${CIVIT_API}"); fi`,
+    `FAILED=0`,
+    ``,
+    `# fetch <url> <dir> <file name or ""> <prefix for server-named files>`,
+    `fetch() {`,
+    `  local url="$1" dir="$ROOT/$2" name="$3" prefix="$4"`,
+    `  mkdir -p "$dir"`,
+    `  if [ -n "$name" ]; then`,
+    `    if [ -e "$dir/$name" ]; then echo "[SKIP] $dir/$name"; return 0; fi`,
+    `    echo "[DOWNLOAD] $url"`,
+    `    curl -fL --retry 3 \${AUTH[@]+"\${AUTH[@]}"} -o "$dir/$name.part" "$url" && mv "$dir/$name.part" "$dir/$name"`,
+    `  else`,
+    `    local tmp f target`,
+    `    tmp="$(mktemp -d "$dir/.civitai.XXXXXX")"`,
+    `    echo "[DOWNLOAD] $url"`,
+    `    if ! (cd "$tmp" && curl -fL --retry 3 -J -O \${AUTH[@]+"\${AUTH[@]}"} "$url"); then rm -rf "$tmp"; return 1; fi`,
+    `    for f in "$tmp"/*; do`,
+    `      target="$dir/$prefix$(basename "$f")"`,
+    `      if [ -e "$target" ]; then echo "[SKIP] $target"; rm -f "$f"; else mv "$f" "$target"; fi`,
+    `    done`,
+    `    rm -rf "$tmp"`,
+    `  fi`,
+    `}`,
+    ``
+  ];
+  plan.forEach(r => {
+    out.push(`# ${singleLine(r.item.name)} (${singleLine(r.item.key)}) · ${singleLine(variantLabel(r.variant))}`);
+    out.push(`fetch ${shellQuote(r.url)} ${shellQuote(r.dir)} ${shellQuote(r.fileName || "")} ${shellQuote(r.prefix)} || { echo '[FAIL]' ${shellQuote(r.item.key)} >&2; FAILED=$((FAILED + 1)); }`);
+  });
+  out.push(``, `if [ "$FAILED" -gt 0 ]; then echo "$FAILED downloads failed" >&2; exit 1; fi`, ``);
+  return out.join("\n");
+}
+
+// build(items, exportedAt) -> [{ name, text, type }]. `downloadPlan` formats only list files
+// to fetch, so they may skip items already downloaded; the others are catalogues/backups.
+const EXPORT_FORMATS = {
+  archive: {
+    label: "JSON + HTML archive",
+    hint: "Full data for the Python downloader and re-import",
+    build: null
+  },
+  csv: {
+    label: "CSV spreadsheet",
+    hint: "One row per selected download with its planned path",
+    downloadPlan: true,
+    build: items => [{ name: "civitai_export.csv", text: buildExportCsv(items), type: "text/csv;charset=utf-8" }]
+  },
+  markdown: {
+    label: "Markdown catalogue",
+    hint: "For a wiki page: type, base model, AIR, tags and files",
+    build: (items, at) => [{ name: "civitai_export.md", text: buildExportMarkdown(items, at), type: "text/markdown;charset=utf-8" }]
+  },
+  aria2: {
+    label: "aria2c input file",
+    hint: "aria2c -i …, token passed on the command line",
+    downloadPlan: true,
+    build: (items, at) => [{ name: "civitai_download.aria2.txt", text: buildExportAria2(items, at), type: "text/plain;charset=utf-8" }]
+  },
+  shell: {
+    label: "Shell script (curl)",
+    hint: "bash script; reads CIVIT_API from the environment",
+    downloadPlan: true,
+    build: (items, at) => [{ name: "civitai_download.sh", text: buildExportShell(items, at), type: "text/x-shellscript;charset=utf-8" }]
+  }
+};
+
+async function exportItems(items, format) {
+  const def = EXPORT_FORMATS[format];
+  if (!def) throw new Error(`Unknown export format "${format}"`);
+  if (!def.build) return exportAll(items);
+  const exportedAt = new Date().toISOString();
+  for (const f of def.build(items, exportedAt)) await downloadFile(f.name, f.text, f.type);
 }
 
 /* =====================================================================================
@@ -360,12 +3592,19 @@ function buildUI() {
     <div id="cm-body" style="display:flex; flex-direction:column; min-height:0; flex:1;">
       <div style="padding:10px; display:flex; gap:6px; flex-wrap:wrap;">
         <button id="cm-add">Add Current</button>
+        <button id="cm-add-versions" title="Pick versions of the current model to add">Add Versions</button>
+        <button id="cm-queue-visible" title="Queue every model card shown on this page">Queue Visible</button>
         <button id="cm-export">Export</button>
         <button id="cm-import-json">Import JSON</button>
         <button id="cm-import-html">Import HTML</button>
+        <button id="cm-import-results" title="Merge only the downloads records from a civitai_export.json the Python downloader wrote back to">Import Results</button>
+        <button id="cm-check-updates" title="Look up every queued model for newer versions">Check Updates</button>
+        <button id="cm-settings">Settings</button>
       </div>
 
-      <input id="cm-search" placeholder="search..." style="margin:0 10px 8px 10px; padding:6px; border-radius:6px; border:1px solid #444; background:#1f232a; color:#abb2bf;">
+      <div id="cm-current" style="margin:0 10px 8px 10px; padding:8px; border-radius:8px; border:1px solid #444; background:#1f232a; font-size:12px; line-height:1.4;"></div>
+
+      <input id="cm-search" placeholder="search... (type:lora tag:x -has:downloads)" style="margin:0 10px 8px 10px; padding:6px; border-radius:6px; border:1px solid #444; background:#1f232a; color:#abb2bf;">
 
       <div id="cm-list" style="flex:1; overflow:auto; padding:6px 10px 10px 10px; min-height:0;"></div>
 
@@ -406,11 +3645,26 @@ function buildUI() {
     ">
       <div style="padding:12px 14px; background:#2b313c; display:flex; align-items:center; gap:10px;">
         <b style="flex:1;">Manager (Overlay)</b>
+        <button id="cm-ov-unrouted" style="padding:6px 10px; color:#e06c75;" title="Show items the downloader would put in default/ (search: -has:route)"></button>
+        <button id="cm-ov-reparse" style="padding:6px 10px;" title="Re-run the metaPairs → typed fields normalization on every stored item">Re-parse meta</button>
+        <button id="cm-ov-trash" style="padding:6px 10px;">Trash</button>
         <button id="cm-ov-close" style="padding:6px 10px;">Close</button>
       </div>
 
       <div style="display:flex; gap:12px; padding:12px; align-items:center; flex-wrap:wrap; border-bottom:1px solid rgba(255,255,255,.08);">
-        <input id="cm-ov-search" placeholder="search..." style="flex:1; min-width:260px; padding:8px; border-radius:8px; border:1px solid #444; background:#12151a; color:#abb2bf;">
+        <input id="cm-ov-search" placeholder='search... e.g. type:lora base:"SDXL 1.0" tag:portrait updated:>2026-09-01 -has:downloads' style="flex:1; min-width:260px; padding:8px; border-radius:8px; border:1px solid #444; background:#12151a; color:#abb2bf;">
+        <div id="cm-ov-query-error" style="display:none; width:100%; order:10; font-size:12px; color:#e06c75;"></div>
+        <div style="display:flex; align-items:center; gap:8px;">
+          <span style="font-size:12px; color:#c8ccd4;">Sort</span>
+          <select id="cm-ov-sort" style="padding:6px; border-radius:8px; border:1px solid #444; background:#12151a; color:#abb2bf;">
+            ${Object.entries(SORT_OPTIONS).map(([k, o]) => `<option value="${k}">${o.label}</option>`).join("")}
+          </select>
+          <button id="cm-ov-sortdir" title="Toggle sort direction" style="padding:6px 10px;"></button>
+          <span style="font-size:12px; color:#c8ccd4;">Group</span>
+          <select id="cm-ov-group" style="padding:6px; border-radius:8px; border:1px solid #444; background:#12151a; color:#abb2bf;">
+            ${Object.entries(GROUP_OPTIONS).map(([k, o]) => `<option value="${k}">${o.label}</option>`).join("")}
+          </select>
+        </div>
         <div style="display:flex; align-items:center; gap:8px;">
           <span style="font-size:12px; color:#c8ccd4;">Per page</span>
           <select id="cm-ov-pagesize" style="padding:6px; border-radius:8px; border:1px solid #444; background:#12151a; color:#abb2bf;">
@@ -422,6 +3676,22 @@ function buildUI() {
         </div>
       </div>
 
+      <div id="cm-ov-bulk" style="display:flex; gap:6px; padding:8px 12px; align-items:center; flex-wrap:wrap; font-size:12px; border-bottom:1px solid rgba(255,255,255,.08);">
+        <label style="display:flex; align-items:center; gap:4px; color:#c8ccd4;" title="Select / unselect this page">
+          <input id="cm-ov-checkpage" type="checkbox"> Page
+        </label>
+        <button data-bulk="all" style="padding:4px 8px; font-size:12px;">Select all matching</button>
+        <button data-bulk="clear" style="padding:4px 8px; font-size:12px;">Clear</button>
+        <span id="cm-ov-selcount" style="color:#8b93a5; margin:0 6px;"></span>
+        <button data-bulk="delete" data-needs-sel="1" style="padding:4px 8px; font-size:12px;">Delete</button>
+        <button data-bulk="export" data-needs-sel="1" style="padding:4px 8px; font-size:12px;">Export</button>
+        <button data-bulk="tag-add" data-needs-sel="1" style="padding:4px 8px; font-size:12px;">+ Tags</button>
+        <button data-bulk="tag-remove" data-needs-sel="1" style="padding:4px 8px; font-size:12px;">− Tags</button>
+        <button data-bulk="rescrape" data-needs-sel="1" style="padding:4px 8px; font-size:12px;">Re-scrape</button>
+        <button data-bulk="copy-links" data-needs-sel="1" style="padding:4px 8px; font-size:12px;">Copy links</button>
+        <button data-bulk="send" data-needs-sel="1" title="Queue on the local downloader service (Settings)" style="padding:4px 8px; font-size:12px;">Send to downloader</button>
+      </div>
+
       <div style="display:flex; flex:1; min-height:0;">
         <div style="width:420px; border-right:1px solid rgba(255,255,255,.08); display:flex; flex-direction:column; min-height:0;">
           <div id="cm-ov-list" style="flex:1; overflow:auto; padding:10px; min-height:0;"></div>
@@ -444,6 +3714,536 @@ function buildUI() {
   return { root, overlay };
 }
 
+/**
+ * Small modal on top of everything (panel + overlay).
+ * Returns { card, body, footer, close }; `close()` removes it.
+ */
+function createModal(title, { width = 640 } = {}) {
+  const backdrop = document.createElement("div");
+  backdrop.className = "cm-modal";
+  backdrop.style.cssText = `
+    position:fixed; inset:0;
+    z-index:100001;
+    background: rgba(0,0,0,.55);
+    display:flex; align-items:center; justify-content:center;
+    color:#abb2bf;
+    font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;
+  `;
+
+  backdrop.innerHTML = `
+    <div class="cm-modal-card" style="
+      width:${width}px; max-width:calc(100vw - 48px); max-height:calc(100vh - 48px);
+      background:#1f232a; border-radius:12px;
+      display:flex; flex-direction:column; overflow:hidden;
+      box-shadow: 0 10px 40px rgba(0,0,0,.45);
+      border:1px solid rgba(255,255,255,.08);
+    ">
+      <div style="padding:12px 14px; background:#2b313c; display:flex; align-items:center; gap:10px;">
+        <b class="cm-modal-title" style="flex:1;"></b>
+      </div>
+      <div class="cm-modal-body" style="flex:1; overflow:auto; padding:12px; min-height:0;"></div>
+      <div class="cm-modal-footer" style="padding:10px 12px; border-top:1px solid rgba(255,255,255,.08); display:flex; gap:8px; justify-content:flex-end; align-items:center;"></div>
+    </div>
+  `;
+  qs(".cm-modal-title", backdrop).textContent = title;
+  document.body.appendChild(backdrop);
+
+  return {
+    card: qs(".cm-modal-card", backdrop),
+    body: qs(".cm-modal-body", backdrop),
+    footer: qs(".cm-modal-footer", backdrop),
+    close: () => backdrop.remove()
+  };
+}
+
+/**
+ * Transient message at the bottom of the page with an optional action button
+ * (e.g. Undo). A new toast replaces the previous one.
+ */
+function showToast(message, { actionLabel, onAction, timeoutMs = 8000 } = {}) {
+  qsa(".cm-toast").forEach(t => t.remove());
+  const toast = document.createElement("div");
+  toast.className = "cm-toast";
+  toast.style.cssText = `
+    position:fixed; left:50%; bottom:24px; transform:translateX(-50%);
+    z-index:100002;
+    display:flex; align-items:center; gap:12px;
+    padding:10px 14px; border-radius:10px;
+    background:#2b313c; color:#d6dae3; font-size:13px;
+    box-shadow: 0 6px 24px rgba(0,0,0,.45);
+    border:1px solid rgba(255,255,255,.12);
+    font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;
+  `;
+  const text = document.createElement("span");
+  text.textContent = message;
+  toast.appendChild(text);
+
+  const close = () => { clearTimeout(timer); toast.remove(); };
+  if (actionLabel && onAction) {
+    const btn = document.createElement("button");
+    btn.textContent = actionLabel;
+    btn.style.cssText = "padding:4px 10px; font-weight:700;";
+    btn.onclick = () => { close(); onAction(); };
+    toast.appendChild(btn);
+  }
+  const x = document.createElement("button");
+  x.textContent = "×";
+  x.title = "Dismiss";
+  x.style.cssText = "padding:2px 8px;";
+  x.onclick = close;
+  toast.appendChild(x);
+
+  document.body.appendChild(toast);
+  const timer = setTimeout(close, timeoutMs);
+  return close;
+}
+
+/**
+ * Let the user tick model versions. Resolves to the chosen version objects, or null on cancel.
+ * `queuedKeys` marks versions already in the queue.
+ */
+function pickVersionsDialog(model, queuedKeys) {
+  const versions = Array.isArray(model?.modelVersions) ? model.modelVersions : [];
+  const m = createModal(`Add versions: ${model?.name || model?.id}`);
+
+  m.body.innerHTML = `
+    <div style="display:flex; gap:8px; margin-bottom:8px;">
+      <button data-act="all" style="padding:4px 8px; font-size:12px;">Select all</button>
+      <button data-act="none" style="padding:4px 8px; font-size:12px;">Select none</button>
+      <button data-act="new" style="padding:4px 8px; font-size:12px;">Only not queued</button>
+    </div>
+    ${versions.map((v, i) => {
+      const queued = queuedKeys.has(makeKey(model.id, String(v.id)));
+      return `
+        <label style="display:flex; gap:10px; align-items:flex-start; padding:8px; border-bottom:1px solid rgba(255,255,255,.06); cursor:pointer;">
+          <input type="checkbox" data-idx="${i}" checked>
+          <div style="flex:1; min-width:0;">
+            <div style="font-weight:600; color:#d6dae3;">${escapeHtml(v.name || String(v.id))}</div>
+            <div style="font-size:12px; color:#9aa3b5;">
+              ${escapeHtml(String(v.id))}  •  ${escapeHtml(v.baseModel || "?")}  •  ${escapeHtml(formatApiDate(v.publishedAt || v.createdAt) || "")}
+              ${queued ? `  •  <span style="color:#e5c07b;">queued</span>` : ""}
+            </div>
+          </div>
+        </label>
+      `;
+    }).join("")}
+  `;
+
+  const boxes = qsa('input[type="checkbox"][data-idx]', m.body);
+  qs('button[data-act="all"]', m.body).onclick = () => boxes.forEach(b => { b.checked = true; });
+  qs('button[data-act="none"]', m.body).onclick = () => boxes.forEach(b => { b.checked = false; });
+  qs('button[data-act="new"]', m.body).onclick = () => boxes.forEach(b => {
+    const v = versions[parseInt(b.getAttribute("data-idx"), 10)];
+    b.checked = !queuedKeys.has(makeKey(model.id, String(v.id)));
+  });
+
+  return new Promise((resolve) => {
+    const cancel = document.createElement("button");
+    cancel.textContent = "Cancel";
+    cancel.style.cssText = "padding:6px 10px;";
+    cancel.onclick = () => { m.close(); resolve(null); };
+
+    const ok = document.createElement("button");
+    ok.textContent = "Add selected";
+    ok.style.cssText = "padding:6px 10px;";
+    ok.onclick = () => {
+      const picked = boxes.filter(b => b.checked).map(b => versions[parseInt(b.getAttribute("data-idx"), 10)]);
+      m.close();
+      resolve(picked);
+    };
+
+    m.footer.appendChild(cancel);
+    m.footer.appendChild(ok);
+  });
+}
+
+/**
+ * Edit tags / rating / note of one item. Resolves to { tags, note, rating } or null.
+ */
+function annotationsDialog(item) {
+  const u = userFieldsOf(item);
+  const m = createModal(`Notes: ${item.name || item.key}`, { width: 560 });
+  const inputCss = "width:100%; box-sizing:border-box; padding:6px; border-radius:6px; border:1px solid #444; background:#12151a; color:#abb2bf;";
+
+  m.body.innerHTML = `
+    <div style="font-size:12px; color:#c8ccd4; margin-bottom:4px;">Tags (comma separated)</div>
+    <input data-f="tags" placeholder="client X, portrait" style="${inputCss}">
+    <div style="font-size:12px; color:#c8ccd4; margin:10px 0 4px;">Rating</div>
+    <select data-f="rating" style="${inputCss} width:auto;">
+      <option value="">—</option>
+      ${[1, 2, 3, 4, 5].map(n => `<option value="${n}" ${u.rating === n ? "selected" : ""}>${ratingStars(n)}</option>`).join("")}
+    </select>
+    <div style="font-size:12px; color:#c8ccd4; margin:10px 0 4px;">Note (markdown)</div>
+    <textarea data-f="note" style="${inputCss} min-height:160px; font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', monospace; font-size:12px;"></textarea>
+  `;
+  const tagsIn = qs('[data-f="tags"]', m.body);
+  const ratingIn = qs('[data-f="rating"]', m.body);
+  const noteIn = qs('[data-f="note"]', m.body);
+  tagsIn.value = u.tags.join(", ");
+  noteIn.value = u.note;
+
+  return new Promise((resolve) => {
+    const cancel = document.createElement("button");
+    cancel.textContent = "Cancel";
+    cancel.style.cssText = "padding:6px 10px;";
+    cancel.onclick = () => { m.close(); resolve(null); };
+
+    const ok = document.createElement("button");
+    ok.textContent = "Save";
+    ok.style.cssText = "padding:6px 10px;";
+    ok.onclick = () => {
+      m.close();
+      resolve({
+        tags: normalizeTags(tagsIn.value),
+        note: noteIn.value,
+        rating: normalizeRating(ratingIn.value)
+      });
+    };
+
+    m.footer.appendChild(cancel);
+    m.footer.appendChild(ok);
+    tagsIn.focus();
+  });
+}
+
+// Small tag chips + rating line for list rows ("" when there is nothing to show).
+function annotationsSummaryHtml(item) {
+  const u = userFieldsOf(item);
+  if (!u.tags.length && !u.rating && !u.note) return "";
+  return `
+    <div style="display:flex; gap:4px; flex-wrap:wrap; align-items:center; margin-top:3px; font-size:11px;">
+      ${u.rating ? `<span style="color:#e5c07b;">${ratingStars(u.rating)}</span>` : ""}
+      ${u.tags.map(t => `<span style="padding:0 6px; border-radius:8px; background:rgba(97,175,239,.18); color:#9ccfff;">${escapeHtml(t)}</span>`).join("")}
+      ${u.note ? `<span title="has note" style="color:#8b93a5;">✎</span>` : ""}
+    </div>`;
+}
+
+// "⬆ 2 newer" chip for list rows ("" when the model has no newer version).
+function updateBadgeHtml(newer) {
+  if (!newer?.length) return "";
+  const title = newer.map(v => `${v.name || v.id}${v.baseModel ? ` (${v.baseModel})` : ""}`).join("\n");
+  return `<span title="${escapeHtml(title)}" style="padding:0 6px; border-radius:8px; background:rgba(229,192,123,.2); color:#e5c07b; font-size:11px; font-weight:700;">⬆ ${newer.length} newer</span>`;
+}
+
+// Planned download folder chip; items the downloader would send to default/ get a warning.
+function routeBadgeHtml(item) {
+  const r = downloadRouteOf(item);
+  if (!r.resolved) {
+    return `<span title="The downloader will put these files in default/ (${escapeHtml(ROUTE_FALLBACK_REASONS[r.reason])}). Fix the AIR in Edit." style="padding:0 6px; border-radius:8px; background:rgba(224,108,117,.2); color:#e06c75; font-size:11px; font-weight:700;">⚠ default/</span>`;
+  }
+  return `<span title="Planned download folder and file prefix" style="color:#7f889d; font-size:11px;">→ ${escapeHtml(r.dir)}/${escapeHtml(r.prefix)}…</span>`;
+}
+
+// Download state chip from `downloads` records ("" when nothing was downloaded or tried).
+function downloadStateBadgeHtml(item) {
+  const d = downloadStateOf(item);
+  if (d.state === "none") return "";
+  const title = d.links.map(l => `${l.state === "complete" ? "✓" : l.state === "failed" ? "✗" : "·"} ${l.record?.relative_path || l.record?.error || l.url}`).join("\n");
+  const [color, bg, text] = {
+    complete: ["#98c379", "rgba(152,195,121,.18)", `✓ on disk${d.bytes >= 1024 ? ` ${formatSizeKB(d.bytes / 1024)}` : ""}`],
+    partial: ["#e5c07b", "rgba(229,192,123,.2)", `◐ ${d.done}/${d.total} on disk${d.failed ? `, ${d.failed} failed` : ""}`],
+    failed: ["#e06c75", "rgba(224,108,117,.2)", `✗ ${d.failed}/${d.total} failed`]
+  }[d.state];
+  return `<span title="${escapeHtml(`${DOWNLOAD_STATES[d.state]}\n${title}`)}" style="padding:0 6px; border-radius:8px; background:${bg}; color:${color}; font-size:11px; font-weight:700;">${escapeHtml(text)}</span>`;
+}
+
+// Local downloader progress chip ("" when the item was never sent).
+function downloaderBadgeHtml(st) {
+  if (!st) return "";
+  const size = b => formatSizeKB(b / 1024);
+  const chip = (color, bg, text, title) =>
+    `<span title="${escapeHtml(title)}" style="padding:0 6px; border-radius:8px; background:${bg}; color:${color}; font-size:11px; font-weight:700;">${escapeHtml(text)}</span>`;
+  const since = st.updatedAt ? ` · ${new Date(st.updatedAt).toLocaleString()}` : "";
+  if (st.state === "queued") return chip("#9aa3b5", "rgba(154,163,181,.18)", "⏳ queued", `Waiting in the local downloader${since}`);
+  if (st.state === "downloading") {
+    const pct = st.total ? ` ${Math.min(100, Math.floor(st.bytes / st.total * 100))}%` : "";
+    return chip("#61afef", "rgba(97,175,239,.18)", `⬇${pct} ${size(st.bytes)}`, `Downloading${st.total ? ` ${size(st.bytes)} of ${size(st.total)}` : ""}${since}`);
+  }
+  if (st.state === "done") return chip("#98c379", "rgba(152,195,121,.18)", "✓ downloaded", `Local downloader finished${st.bytes ? ` (${size(st.bytes)})` : ""}${since}`);
+  if (st.state === JOB_UNKNOWN_STATE) return chip("#d19a66", "rgba(209,154,102,.18)", "? unreachable", `${st.error || "Local downloader unreachable"}${since}`);
+  return chip("#e06c75", "rgba(224,108,117,.2)", "✗ download failed", `${st.error || "Download failed"}${since}`);
+}
+
+/** Settings that are not tied to a single view. Resolves to true when saved. */
+function settingsDialog() {
+  return new Promise((resolve) => {
+    const m = createModal("Settings", { width: 560 });
+    const inputCss = "width:100%; box-sizing:border-box; padding:6px; border-radius:6px; border:1px solid #444; background:#12151a; color:#abb2bf;";
+    m.body.innerHTML = `
+      <div style="font-size:12px; color:#c8ccd4; margin-bottom:4px;">Civitai API base URL</div>
+      <input data-f="apiBase" placeholder="${escapeHtml(CIVITAI_API_BASE)}" style="${inputCss}">
+      <div style="font-size:11px; color:#8b93a5; margin-top:4px;">Leave empty for ${escapeHtml(CIVITAI_API_BASE)}. Point it at a local mock (e.g. http://localhost:8787/api/v1) to test scraping and update checks.</div>
+      <label style="display:flex; gap:6px; align-items:center; margin-top:14px; font-size:12px; color:#c8ccd4;">
+        <input data-f="blockImages" type="checkbox"> Block remote images in description previews
+      </label>
+      <div style="font-size:12px; color:#c8ccd4; margin:14px 0 4px;">Local downloader service URL</div>
+      <input data-f="downloaderUrl" placeholder="http://localhost:8790" style="${inputCss}">
+      <div style="font-size:11px; color:#8b93a5; margin-top:4px;">Optional. Enables "Send to downloader" in the overlay; must be on this machine (localhost / 127.0.0.1). Try it with local_downloader_stub.py.</div>
+      <div data-f="err" style="font-size:12px; color:#e06c75; margin-top:8px;"></div>
+    `;
+    const apiInput = qs('input[data-f="apiBase"]', m.body);
+    apiInput.value = String(GM_getValue(API_BASE_KEY, "") || "");
+    const blockInput = qs('input[data-f="blockImages"]', m.body);
+    blockInput.checked = getBlockRemoteImages();
+    const downloaderInput = qs('input[data-f="downloaderUrl"]', m.body);
+    downloaderInput.value = String(GM_getValue(DOWNLOADER_URL_KEY, "") || "");
+
+    m.footer.innerHTML = `<button data-act="cancel">Cancel</button><button data-act="save" style="font-weight:700;">Save</button>`;
+    qs('button[data-act="cancel"]', m.footer).onclick = () => { m.close(); resolve(false); };
+    qs('button[data-act="save"]', m.footer).onclick = () => {
+      const v = apiInput.value.trim();
+      if (v && !isHttpUrl(v)) { qs('[data-f="err"]', m.body).textContent = "API base must be an http(s) URL"; return; }
+      const d = downloaderInput.value.trim();
+      if (d && !isLoopbackUrl(d)) { qs('[data-f="err"]', m.body).textContent = "Downloader URL must be http(s)://localhost or 127.0.0.1"; return; }
+      GM_setValue(API_BASE_KEY, v);
+      GM_setValue(DOWNLOADER_URL_KEY, d);
+      GM_setValue(BLOCK_REMOTE_IMAGES_KEY, blockInput.checked);
+      m.close();
+      resolve(true);
+    };
+  });
+}
+
+const EXPORT_SCOPES = {
+  all: "All items",
+  filtered: "Items matching the search",
+  selected: "Selected items (overlay checkboxes)"
+};
+
+/**
+ * Format + scope picker. `counts` = { all, filtered, selected }; scopes with no items are
+ * disabled. Resolves { format, scope, skipComplete } or null when cancelled; skipComplete is
+ * only ever true for `downloadPlan` formats.
+ */
+function exportDialog({ counts, scope, query }) {
+  return new Promise((resolve) => {
+    const m = createModal("Export", { width: 520 });
+    const settings = loadExportSettings();
+    const radio = (name, value, checked, disabled, label, hint) => `
+      <label style="display:flex; gap:8px; align-items:flex-start; padding:6px 0; ${disabled ? "opacity:.5;" : "cursor:pointer;"}">
+        <input type="radio" name="${name}" value="${value}" ${checked ? "checked" : ""} ${disabled ? "disabled" : ""} style="margin-top:2px;">
+        <span><span style="color:#d6dae3;">${escapeHtml(label)}</span>${hint ? `<br><span style="font-size:11px; color:#8b93a5;">${escapeHtml(hint)}</span>` : ""}</span>
+      </label>`;
+    const firstScope = [scope, "all"].find(s => EXPORT_SCOPES[s] && counts[s] > 0) || "all";
+
+    m.body.innerHTML = `
+      <div style="font-weight:700; color:#c8ccd4; margin-bottom:4px;">Format</div>
+      ${Object.entries(EXPORT_FORMATS).map(([k, f]) => radio("format", k, k === settings.format, false, f.label, f.hint)).join("")}
+      <div style="font-weight:700; color:#c8ccd4; margin:12px 0 4px;">Items</div>
+      ${Object.entries(EXPORT_SCOPES).map(([k, label]) => radio("scope", k, k === firstScope, !counts[k],
+        `${label} (${counts[k] || 0})`, k === "filtered" && query ? query : "")).join("")}
+      <label style="display:flex; gap:8px; align-items:flex-start; margin-top:8px; cursor:pointer;">
+        <input type="checkbox" data-f="skipComplete" ${settings.skipComplete ? "checked" : ""} style="margin-top:2px;">
+        <span><span style="color:#d6dae3;">Skip items already downloaded</span><br><span style="font-size:11px; color:#8b93a5;">CSV, aria2 and shell only: every selected link has a successful record in downloads (Import Results)</span></span>
+      </label>
+      <div style="font-size:11px; color:#8b93a5; margin-top:10px;">Only selected download variants are exported. Download files never contain your API token.</div>
+    `;
+
+    // Backups and catalogues always carry every item.
+    const skipInput = qs('input[data-f="skipComplete"]', m.body);
+    const syncSkip = () => {
+      const format = qs('input[name="format"]:checked', m.body)?.value || "archive";
+      skipInput.disabled = !EXPORT_FORMATS[format]?.downloadPlan;
+      skipInput.closest("label").style.opacity = skipInput.disabled ? ".5" : "";
+    };
+    qsa('input[name="format"]', m.body).forEach(r => { r.onchange = syncSkip; });
+    syncSkip();
+
+    m.footer.innerHTML = `<button data-act="cancel">Cancel</button><button data-act="export" style="font-weight:700;">Export</button>`;
+    qs('button[data-act="cancel"]', m.footer).onclick = () => { m.close(); resolve(null); };
+    qs('button[data-act="export"]', m.footer).onclick = () => {
+      const format = qs('input[name="format"]:checked', m.body)?.value || "archive";
+      const picked = qs('input[name="scope"]:checked', m.body)?.value || "all";
+      saveExportSettings({ format, skipComplete: skipInput.checked });
+      m.close();
+      resolve({ format, scope: picked, skipComplete: skipInput.checked && !!EXPORT_FORMATS[format].downloadPlan });
+    };
+  });
+}
+
+const IMPORT_CLASS_COLORS = {
+  new: "#98c379",
+  identical: "#7f889d",
+  newer: "#61afef",
+  older: "#e5c07b",
+  conflict: "#e06c75"
+};
+
+function renderFieldDiffHtml(d) {
+  const box = (label, inner) => `
+    <div style="flex:1; min-width:0;">
+      <div style="font-size:11px; color:#8b93a5; margin-bottom:2px;">${label}</div>
+      <div style="font-size:12px; color:#d6dae3; word-break:break-all; max-height:160px; overflow:auto; background:#12151a; border-radius:6px; padding:6px;">${inner}</div>
+    </div>`;
+
+  if (d.field === "links" || d.field === "metaPairs" || d.field === "tags") {
+    const fmt = (v) => d.field === "metaPairs" ? `${v?.key}: ${v?.value}` : v;
+    const a = d.local.map(fmt);
+    const b = d.incoming.map(fmt);
+    const line = (s, mark, color) => `<div style="color:${color};">${mark} ${escapeHtml(String(s))}</div>`;
+    const left = a.map(s => b.includes(s) ? line(s, " ", "#aeb6c7") : line(s, "−", "#e06c75")).join("") || "(none)";
+    const right = b.map(s => a.includes(s) ? line(s, " ", "#aeb6c7") : line(s, "+", "#98c379")).join("") || "(none)";
+    return `<div style="display:flex; gap:8px;">${box("local", left)}${box("incoming", right)}</div>`;
+  }
+  if (d.field === "html") {
+    const snip = (s) => s ? `${s.length} chars<br>${escapeHtml(s.slice(0, 400))}${s.length > 400 ? "…" : ""}` : "(empty)";
+    return `<div style="display:flex; gap:8px;">${box("local", snip(d.local))}${box("incoming", snip(d.incoming))}</div>`;
+  }
+  return `<div style="display:flex; gap:8px;">${box("local", escapeHtml(String(d.local)) || "(empty)")}${box("incoming", escapeHtml(String(d.incoming)) || "(empty)")}</div>`;
+}
+
+// diffSnapshots() result -> HTML (older on the left / "−", newer "+")
+function renderSnapshotDiffHtml(d) {
+  if (!d.changed) return `<div style="color:#8b93a5; font-size:12px;">No differences.</div>`;
+  const section = (title, inner) => `
+    <div style="margin-bottom:10px;">
+      <div style="font-size:12px; font-weight:700; color:#c8ccd4; margin-bottom:4px;">${title}</div>
+      <div style="font-size:12px; background:#12151a; border-radius:6px; padding:6px; word-break:break-all; max-height:320px; overflow:auto;">${inner}</div>
+    </div>`;
+  const line = (mark, text, color) => `<div style="color:${color}; white-space:pre-wrap;">${mark} ${escapeHtml(String(text))}</div>`;
+  const parts = [];
+
+  if (d.name) parts.push(section("Name", line("−", d.name.from, "#e06c75") + line("+", d.name.to, "#98c379")));
+  if (d.air) parts.push(section("AIR", line("−", d.air.from || "(none)", "#e06c75") + line("+", d.air.to || "(none)", "#98c379")));
+  if (d.links.added.length || d.links.removed.length) {
+    parts.push(section("Download links",
+      d.links.removed.map(l => line("−", l, "#e06c75")).join("") + d.links.added.map(l => line("+", l, "#98c379")).join("")));
+  }
+  if (d.metaPairs.length) {
+    parts.push(section("Meta", d.metaPairs.map(p => {
+      if (p.from === null) return line("+", `${p.key}: ${p.to}`, "#98c379");
+      if (p.to === null) return line("−", `${p.key}: ${p.from}`, "#e06c75");
+      return line("~", `${p.key}: ${p.from} → ${p.to}`, "#e5c07b");
+    }).join("")));
+  }
+  if (d.html.length) {
+    // Only changed lines plus a little context
+    const keep = new Set();
+    d.html.forEach((l, i) => { if (l.op !== " ") for (let k = i - 2; k <= i + 2; k++) keep.add(k); });
+    let out = "";
+    let gap = false;
+    d.html.forEach((l, i) => {
+      if (!keep.has(i)) { if (!gap) out += `<div style="color:#5c6370;">…</div>`; gap = true; return; }
+      gap = false;
+      out += line(l.op === " " ? " " : (l.op === "-" ? "−" : "+"), l.text, l.op === "+" ? "#98c379" : (l.op === "-" ? "#e06c75" : "#7f889d"));
+    });
+    parts.push(section("Description HTML", out));
+  }
+  return parts.join("");
+}
+
+/**
+ * Import preview: shows how each incoming item relates to local data and lets the
+ * user pick a policy per item or in bulk. Resolves to the plan (policies filled in)
+ * or null on cancel. Nothing is written here.
+ */
+function importPreviewDialog(plan, sourceLabel) {
+  const m = createModal(`Import preview: ${sourceLabel}`, { width: 980 });
+  const counts = {};
+  IMPORT_CLASSES.forEach(c => { counts[c] = plan.filter(e => e.cls === c).length; });
+
+  m.body.innerHTML = `
+    <div style="display:flex; gap:12px; flex-wrap:wrap; font-size:12px; margin-bottom:8px;">
+      ${IMPORT_CLASSES.map(c => `<span style="color:${IMPORT_CLASS_COLORS[c]};">${c}: <b>${counts[c]}</b></span>`).join("")}
+    </div>
+    <div style="display:flex; gap:8px; flex-wrap:wrap; align-items:center; margin-bottom:10px; font-size:12px;">
+      <span>Set</span>
+      <select data-role="bulk-class" style="padding:4px; border-radius:6px; border:1px solid #444; background:#12151a; color:#abb2bf;">
+        <option value="*">all items</option>
+        ${IMPORT_CLASSES.map(c => `<option value="${c}">${c}</option>`).join("")}
+      </select>
+      <span>to</span>
+      <button data-bulk="local" style="padding:4px 8px; font-size:12px;">Keep local</button>
+      <button data-bulk="incoming" style="padding:4px 8px; font-size:12px;">Take incoming</button>
+      <button data-bulk="merge" style="padding:4px 8px; font-size:12px;">Merge fields</button>
+      <button data-bulk="default" style="padding:4px 8px; font-size:12px;">Defaults</button>
+      <label style="margin-left:auto;"><input type="checkbox" data-role="show-identical"> show identical</label>
+    </div>
+    <div data-role="rows"></div>
+  `;
+
+  const rowsBox = qs('[data-role="rows"]', m.body);
+  const showIdentical = qs('[data-role="show-identical"]', m.body);
+
+  function renderRows() {
+    rowsBox.innerHTML = "";
+    plan.forEach((e) => {
+      if (e.cls === "identical" && !showIdentical.checked) return;
+      const row = document.createElement("div");
+      row.style.cssText = "border-bottom:1px solid rgba(255,255,255,.06); padding:6px 0;";
+      const name = e.incoming?.name || e.local?.name || "";
+      row.innerHTML = `
+        <div style="display:flex; gap:10px; align-items:center;">
+          <span style="width:70px; font-size:12px; color:${IMPORT_CLASS_COLORS[e.cls]};">${e.cls}</span>
+          <div style="flex:1; min-width:0;">
+            <div style="color:#d6dae3; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${escapeHtml(name)}</div>
+            <div style="font-size:12px; color:#9aa3b5;">
+              ${escapeHtml(e.key)}
+              ${e.local ? `  •  local ${escapeHtml(formatTime(e.local.updatedAt))}` : ""}
+              •  incoming ${escapeHtml(formatTime(e.incoming.updatedAt))}
+              ${e.diffs.length ? `  •  differs: ${escapeHtml(e.diffs.map(d => d.field).join(", "))}` : ""}
+            </div>
+          </div>
+          ${e.diffs.length ? `<button data-role="diff" style="padding:4px 8px; font-size:12px;">Diff</button>` : ""}
+          <select data-role="policy" ${e.local ? "" : "disabled"} style="padding:4px; border-radius:6px; border:1px solid #444; background:#12151a; color:#abb2bf;">
+            ${IMPORT_POLICIES.map(p => `<option value="${p}" ${e.policy === p ? "selected" : ""}>${{ local: "Keep local", incoming: "Take incoming", merge: "Merge fields" }[p]}</option>`).join("")}
+          </select>
+        </div>
+        <div data-role="diffbox" style="display:none; margin-top:6px;"></div>
+      `;
+      qs('[data-role="policy"]', row).onchange = (ev) => { e.policy = ev.target.value; };
+      const diffBtn = qs('[data-role="diff"]', row);
+      if (diffBtn) {
+        const diffBox = qs('[data-role="diffbox"]', row);
+        diffBtn.onclick = () => {
+          if (diffBox.style.display === "none") {
+            diffBox.innerHTML = e.diffs.map(d => `
+              <div style="margin-bottom:6px;">
+                <div style="font-size:12px; font-weight:700; color:#c8ccd4;">${escapeHtml(d.field)}</div>
+                ${renderFieldDiffHtml(d)}
+              </div>`).join("");
+            diffBox.style.display = "block";
+          } else {
+            diffBox.style.display = "none";
+          }
+        };
+      }
+      rowsBox.appendChild(row);
+    });
+    if (!rowsBox.children.length) rowsBox.innerHTML = `<div style="padding:10px; color:#8b93a5;">Nothing to review.</div>`;
+  }
+
+  qsa("button[data-bulk]", m.body).forEach(b => {
+    b.onclick = () => {
+      const cls = qs('[data-role="bulk-class"]', m.body).value;
+      const policy = b.getAttribute("data-bulk");
+      plan.forEach(e => {
+        if (!e.local) return; // new items: incoming is the only option
+        if (cls !== "*" && e.cls !== cls) return;
+        e.policy = policy === "default" ? DEFAULT_IMPORT_POLICY[e.cls] : policy;
+      });
+      renderRows();
+    };
+  });
+  showIdentical.onchange = renderRows;
+  renderRows();
+
+  return new Promise((resolve) => {
+    const cancel = document.createElement("button");
+    cancel.textContent = "Cancel";
+    cancel.style.cssText = "padding:6px 10px;";
+    cancel.onclick = () => { m.close(); resolve(null); };
+
+    const ok = document.createElement("button");
+    ok.textContent = "Apply import";
+    ok.style.cssText = "padding:6px 10px;";
+    ok.onclick = () => { m.close(); resolve(plan); };
+
+    m.footer.appendChild(cancel);
+    m.footer.appendChild(ok);
+  });
+}
+
 /* =====================================================================================
  * MAIN
  * ===================================================================================== */
@@ -451,7 +4251,21 @@ function buildUI() {
 async function main() {
   const { root: ui, overlay } = buildUI();
 
-  // Always treat in-memory queue as cache only.
+  let migrated = 0;
+  let migrateError = null;
+  let schemaResult = null;
+  try { migrated = await migrateLegacyStorage(); }
+  catch (e) { migrateError = String(e?.message || e); }
+  try { schemaResult = await migrateStoredItems(); }
+  catch (e) { migrateError = [migrateError, `schema: ${e?.message || e}`].filter(Boolean).join("; "); }
+  let reparsed = null;
+  try { reparsed = await reparseStoredMetaFields(); }
+  catch (e) { log(`reparseStoredMetaFields failed: ${e?.message || e}`); }
+  let purged = 0;
+  try { purged = await purgeExpiredTrash(); }
+  catch (e) { log(`purgeExpiredTrash failed: ${e?.message || e}`); }
+
+  // Always treat in-memory queue as cache only (index records; html loaded on demand).
   let queue = await loadQueueSafe();
 
   const header = qs("#cm-header", ui);
@@ -459,8 +4273,14 @@ async function main() {
   const list = qs("#cm-list", ui);
   const search = qs("#cm-search", ui);
   const logBox = qs("#cm-log", ui);
+  const currentCard = qs("#cm-current", ui);
+  const btnAdd = qs("#cm-add", ui);
+  const btnAddVersions = qs("#cm-add-versions", ui);
 
   const ovClose = qs("#cm-ov-close", overlay);
+  const ovTrash = qs("#cm-ov-trash", overlay);
+  const ovReparse = qs("#cm-ov-reparse", overlay);
+  const ovUnrouted = qs("#cm-ov-unrouted", overlay);
   const ovSearch = qs("#cm-ov-search", overlay);
   const ovList = qs("#cm-ov-list", overlay);
   const ovDetail = qs("#cm-ov-detail", overlay);
@@ -468,13 +4288,31 @@ async function main() {
   const ovNext = qs("#cm-ov-next", overlay);
   const ovPageInfo = qs("#cm-ov-pageinfo", overlay);
   const ovPageSize = qs("#cm-ov-pagesize", overlay);
+  const ovQueryError = qs("#cm-ov-query-error", overlay);
+  const ovSort = qs("#cm-ov-sort", overlay);
+  const ovSortDir = qs("#cm-ov-sortdir", overlay);
+  const ovGroup = qs("#cm-ov-group", overlay);
+  const ovBulk = qs("#cm-ov-bulk", overlay);
+  const ovCheckPage = qs("#cm-ov-checkpage", overlay);
+  const ovSelCount = qs("#cm-ov-selcount", overlay);
 
   let minimized = false;
   let overlayState = {
     open: false,
     page: 1,
     pageSize: parseInt(ovPageSize.value, 10) || 25,
-    selectedKey: null
+    selectedKey: null,
+    editingKey: null,
+    editDraft: null,
+    queryError: null,
+    detailTab: "details",   // "details" | "history"
+    view: loadViewSettings(),
+    collapsedGroups: new Set(),
+    checked: new Set(),     // multi-select (keys)
+    anchorKey: null,        // last clicked checkbox, for shift-click ranges
+    visibleOrder: [],       // keys in display order across pages (expanded groups only)
+    pageKeys: [],
+    bulkBusy: false
   };
 
   const uiLog = [];
@@ -500,29 +4338,222 @@ async function main() {
   // GM_addValueChangeListener is not guaranteed in all setups; keep optional.
   try {
     if (typeof GM_addValueChangeListener === "function") {
-      GM_addValueChangeListener(STORAGE_KEY, async () => {
-        refreshFromStorageSoon();
+      GM_addValueChangeListener(STORAGE_REV_KEY, async (_name, _old, _new, remote) => {
+        if (remote) refreshFromStorageSoon();
+      });
+      GM_addValueChangeListener(UPDATES_KEY, (_name, _old, _new, remote) => {
+        if (remote) refreshFromStorageSoon();
+      });
+      GM_addValueChangeListener(DOWNLOADER_STATUS_KEY, (_name, _old, _new, remote) => {
+        if (remote) refreshDownloaderBadges();
       });
     }
   } catch {}
 
-  function filterQueueByKw(q, kw) {
-    const s = safeLower(kw);
-    if (!s) return true;
-    return (
-      safeLower(q.key).includes(s) ||
-      safeLower(q.name).includes(s) ||
-      safeLower(q.meta?.ModelTitle).includes(s) ||
-      safeLower(q.meta?.pageUrl).includes(s) ||
-      safeLower(q.meta?.copiedMessage).includes(s)
-    );
+  // Query → { items, error }; a bad query shows its error instead of silently matching nothing.
+  function filterQueueByQuery(text) {
+    try {
+      const pred = compileQuery(text);
+      return { items: queue.filter(pred), error: null };
+    } catch (e) {
+      if (e instanceof QuerySyntaxError) return { items: [], error: e.message };
+      throw e;
+    }
+  }
+
+  // Current page (SPA-aware): href we last handled + background API capture for comparison
+  const pageState = { href: null, ids: null, fresh: null, checking: false, error: null };
+
+  function renderCurrentCard() {
+    const ids = pageState.ids;
+    btnAdd.disabled = !ids;
+    btnAddVersions.disabled = !ids;
+
+    if (!ids) {
+      currentCard.innerHTML = `<span style="color:#8b93a5;">Not a model page.</span>`;
+      btnAdd.textContent = "Add Current";
+      return;
+    }
+
+    const key = makeKey(ids.modelId, ids.versionId);
+    const stored = queue.find(x => x.key === key) || null;
+    const state = currentPageQueueState(stored, pageState.fresh);
+    btnAdd.textContent = stored ? "Update" : "Add Current";
+
+    let status;
+    if (state === "none") status = `<span style="color:#8b93a5;">not queued</span>`;
+    else if (state === "differs") status = `<span style="color:#e5c07b;">queued, page differs</span>`;
+    else status = `<span style="color:#98c379;">queued (updated ${escapeHtml(formatTime(stored.updatedAt))})</span>`;
+
+    const note = pageState.checking
+      ? ` <span style="color:#7f889d;">(checking…)</span>`
+      : (pageState.error ? ` <span style="color:#7f889d;" title="${escapeHtml(pageState.error)}">(compare unavailable)</span>` : "");
+
+    currentCard.innerHTML = `
+      <div style="display:flex; gap:8px; align-items:center;">
+        <b style="color:#c8ccd4;">Current page</b>
+        <span style="color:#9aa3b5;">${escapeHtml(key)}</span>
+      </div>
+      <div style="overflow:hidden; text-overflow:ellipsis; white-space:nowrap; color:#d6dae3;">${escapeHtml(stored?.name || pageState.fresh?.name || "")}</div>
+      <div>${status}${note}</div>
+    `;
+  }
+
+  async function onRouteChange() {
+    const href = location.href;
+    pageState.href = href;
+    pageState.ids = parseModelAndVersionFromUrl();
+    pageState.fresh = null;
+    pageState.error = null;
+    pageState.checking = !!pageState.ids;
+    renderCurrentCard();
+    if (!pageState.ids) return;
+
+    try {
+      const model = await fetchModelJson(pageState.ids.modelId);
+      const version = await resolveApiVersion(model, pageState.ids.versionId);
+      const fresh = itemFromApiData(model, version, { versionId: pageState.ids.versionId, pageUrl: href });
+      if (pageState.href !== href) return; // navigated away meanwhile
+      pageState.fresh = fresh;
+    } catch (e) {
+      if (pageState.href !== href) return;
+      pageState.error = String(e?.message || e);
+    }
+    pageState.checking = false;
+    renderCurrentCard();
+  }
+
+  /* ---------- Update checks ---------- */
+
+  let updateBadges = new Map(); // modelId -> newer versions
+  function refreshUpdateBadges() {
+    updateBadges = computeUpdateBadges(queue);
+  }
+
+  async function queueNewerVersion(modelId, version) {
+    if (!version) return;
+    try {
+      const item = await captureModelRef({ modelId, versionId: String(version.id) });
+      queue = await upsertScrapedItems([item]);
+      pushLog(`Queued newer version ${item.key} (${version.name || version.id})`);
+      renderFloatingList();
+      if (overlayState.open) renderOverlay();
+    } catch (e) {
+      pushLog(String(e?.message || e), true);
+      alert(e.message);
+    }
+  }
+
+  const updateCheck = { running: false, cancel: false };
+  const btnCheckUpdates = qs("#cm-check-updates", ui);
+  btnCheckUpdates.onclick = async () => {
+    if (updateCheck.running) { updateCheck.cancel = true; return; }
+    const ids = queue.map(q => q.modelId).filter(id => id !== undefined && id !== null);
+    if (!ids.length) { pushLog("Check updates: queue is empty"); return; }
+
+    updateCheck.running = true;
+    updateCheck.cancel = false;
+    try {
+      const res = await checkModelUpdates(ids, {
+        isCancelled: () => updateCheck.cancel,
+        onProgress: (done, total) => {
+          btnCheckUpdates.textContent = done < total ? `Checking ${done + 1}/${total}… (stop)` : "Check Updates";
+        }
+      });
+      res.errors.forEach(e => pushLog(`Check updates: model ${e.modelId}: ${e.message}`, true));
+      refreshUpdateBadges();
+      const withNewer = updateBadges.size;
+      pushLog(`Check updates${res.cancelled ? " stopped" : " done"}: ${res.checked} models checked, ${withNewer} with newer versions${res.errors.length ? `, ${res.errors.length} failed` : ""}`);
+    } catch (e) {
+      pushLog(String(e?.message || e), true);
+    } finally {
+      updateCheck.running = false;
+      btnCheckUpdates.textContent = "Check Updates";
+      renderFloatingList();
+      if (overlayState.open) renderOverlay();
+    }
+  };
+
+  /* ---------- Local downloader ---------- */
+
+  let downloaderStatus = loadDownloaderStatus(); // key -> last job status
+  const downloaderPoll = { timer: null, failures: 0, tabId: Math.random().toString(36).slice(2) };
+
+  // Patch the badges in place: a full re-render every poll would reset an open edit form.
+  function refreshDownloaderBadges() {
+    downloaderStatus = loadDownloaderStatus();
+    [ui, overlay].forEach(root => root.querySelectorAll("[data-dl-badge]").forEach(el => {
+      el.innerHTML = downloaderBadgeHtml(downloaderStatus[el.dataset.dlBadge]);
+    }));
+  }
+
+  function startDownloaderPolling() {
+    downloaderPoll.failures = 0;
+    if (!downloaderPoll.timer) downloaderPoll.timer = setTimeout(runDownloaderPoll, DOWNLOADER_POLL_MS);
+  }
+
+  function stopDownloaderPolling() {
+    releaseDownloaderLease(downloaderPoll.tabId);
+  }
+
+  async function runDownloaderPoll() {
+    downloaderPoll.timer = null;
+    if (!downloaderBase()) return stopDownloaderPolling();
+    // Another tab polls; this one follows DOWNLOADER_STATUS_KEY and takes over if that tab goes away.
+    if (!claimDownloaderLease(downloaderPoll.tabId)) {
+      if (activeDownloaderKeys().length) downloaderPoll.timer = setTimeout(runDownloaderPoll, DOWNLOADER_POLL_MS);
+      return;
+    }
+    let active = 0;
+    try {
+      const res = await pollDownloader();
+      active = res.active;
+      if (downloaderPoll.failures) pushLog("Local downloader reachable again");
+      downloaderPoll.failures = 0;
+      res.finished.forEach(f => pushLog(
+        f.state === "done" ? `Downloaded ${f.key}` : `Download ${f.key} failed: ${f.error || "unknown error"}`,
+        f.state !== "done"
+      ));
+    } catch (e) {
+      downloaderPoll.failures++;
+      active = activeDownloaderKeys().length;
+      // One log line per outage, not one every poll.
+      if (downloaderPoll.failures === 1) pushLog(String(e?.message || e), true);
+      if (downloaderPoll.failures >= DOWNLOADER_MAX_FAILURES) {
+        const marked = markDownloaderJobsUnknown(`Lost contact with the local downloader after ${downloaderPoll.failures} failed polls`);
+        pushLog(`Stopped polling the local downloader after ${downloaderPoll.failures} failed attempts (${marked} jobs marked unreachable); send again, save Settings or reload to resume`, true);
+        active = 0;
+      }
+    }
+    refreshDownloaderBadges();
+    if (active) downloaderPoll.timer = setTimeout(runDownloaderPoll, DOWNLOADER_POLL_MS);
+    else stopDownloaderPolling();
   }
 
+  qs("#cm-settings", ui).onclick = async () => {
+    if (!(await settingsDialog())) return;
+    pushLog(`Settings saved (API base: ${apiBase()}; downloader: ${downloaderBase() || "off"}; remote images ${getBlockRemoteImages() ? "blocked" : "allowed"})`);
+    if (pollableDownloaderKeys().length) startDownloaderPolling();
+    if (overlayState.open) { delete ovDetail.dataset.historyKey; renderOverlay(); }
+  };
+
   function renderFloatingList() {
-    const kw = search.value.toLowerCase();
+    renderCurrentCard();
+    refreshUpdateBadges();
+    downloaderStatus = loadDownloaderStatus();
     list.innerHTML = "";
 
-    const items = queue.filter(q => filterQueueByKw(q, kw));
+    const { items, error } = filterQueueByQuery(search.value);
+    search.style.borderColor = error ? "#e06c75" : "#444";
+    search.title = error || "";
+
+    if (error) {
+      const err = document.createElement("div");
+      err.style.cssText = "padding:10px; color:#e06c75; font-size:12px;";
+      err.textContent = `Search: ${error}`;
+      list.appendChild(err);
+      return;
+    }
 
     if (items.length === 0) {
       const empty = document.createElement("div");
@@ -550,6 +4581,13 @@ async function main() {
         <div style="font-size:12px; color:#7f889d; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">
           ${escapeHtml(q.meta?.ModelTitle || "")}
         </div>
+        ${annotationsSummaryHtml(q)}
+        <div style="display:flex; gap:6px; flex-wrap:wrap; align-items:center; margin-top:3px;">
+          ${routeBadgeHtml(q)}
+          ${updateBadgeHtml(updateBadges.get(String(q.modelId)))}
+          ${downloadStateBadgeHtml(q)}
+          <span data-dl-badge="${escapeHtml(q.key)}">${downloaderBadgeHtml(downloaderStatus[q.key])}</span>
+        </div>
       `;
 
       const actions = document.createElement("div");
@@ -560,23 +4598,74 @@ async function main() {
       btnManage.style.cssText = "padding:4px 8px; font-size:12px;";
       btnManage.onclick = () => openOverlayWithSelected(q.key);
 
+      const btnNotes = document.createElement("button");
+      btnNotes.textContent = "Notes";
+      btnNotes.style.cssText = "padding:4px 8px; font-size:12px;";
+      btnNotes.onclick = () => editAnnotations(q);
+
       const btnDel = document.createElement("button");
       btnDel.textContent = "Delete";
       btnDel.style.cssText = "padding:4px 8px; font-size:12px;";
       btnDel.onclick = async () => { await deleteByKey(q.key); };
 
       actions.appendChild(btnManage);
+      actions.appendChild(btnNotes);
       actions.appendChild(btnDel);
 
-      d.appendChild(title);
-      d.appendChild(actions);
-      list.appendChild(d);
-    });
+      const newer = updateBadges.get(String(q.modelId));
+      if (newer?.length) {
+        const btnNewer = document.createElement("button");
+        btnNewer.textContent = "Queue newer";
+        btnNewer.title = `Queue ${newer[0].name || newer[0].id}`;
+        btnNewer.style.cssText = "padding:4px 8px; font-size:12px; color:#e5c07b;";
+        btnNewer.onclick = () => queueNewerVersion(q.modelId, newer[0]);
+        actions.appendChild(btnNewer);
+      }
+
+      d.appendChild(title);
+      d.appendChild(actions);
+      list.appendChild(d);
+    });
+  }
+
+  async function editAnnotations(item) {
+    const ann = await annotationsDialog(item);
+    if (!ann) return;
+    try {
+      queue = await patchItemInStorage(item.key, rec => ({
+        ...rec,
+        user: { ...(rec.user || {}), ...ann },
+        updatedAt: new Date().toISOString()
+      }));
+      pushLog(`Notes saved for ${item.key}`);
+      renderFloatingList();
+      if (overlayState.open) renderOverlay();
+    } catch (e) {
+      pushLog(String(e?.message || e), true);
+      alert(e.message);
+    }
+  }
+
+  async function saveVariantSelection(item, urls) {
+    try {
+      queue = await patchItemInStorage(item.key, rec => ({
+        ...rec,
+        meta: selectVariants(syncVariants({ ...(rec.meta || {}) }), urls),
+        updatedAt: new Date().toISOString()
+      }));
+      pushLog(`${item.key}: ${urls.length} download variant${urls.length === 1 ? "" : "s"} selected`);
+      renderFloatingList();
+      if (overlayState.open) renderOverlay();
+    } catch (e) {
+      pushLog(String(e?.message || e), true);
+      alert(e.message);
+    }
   }
 
   async function deleteByKey(key) {
     queue = await deleteKeyFromStorage(key);
-    pushLog(`Deleted ${key}`);
+    pushLog(`Deleted ${key} (moved to trash)`);
+    offerUndoDelete([key]);
     renderFloatingList();
     if (overlayState.open) {
       if (overlayState.selectedKey === key) overlayState.selectedKey = null;
@@ -638,14 +4727,161 @@ async function main() {
     overlayState.selectedKey = key || overlayState.selectedKey;
     if (!overlayState.selectedKey && queue.length) overlayState.selectedKey = queue[0].key;
 
+    // Same grouping as renderOverlayList; a group hiding the item is expanded.
     const filtered = currentOverlayFiltered();
-    const idx = filtered.findIndex(x => x.key === overlayState.selectedKey);
-    if (idx >= 0) overlayState.page = Math.floor(idx / overlayState.pageSize) + 1;
+    const grouped = overlayState.view.group !== "none";
+    const groups = groupItems(filtered, overlayState.view.group);
+    const collapsed = grouped ? overlayState.collapsedGroups : new Set();
+    let page = pageOfGroupedKey(groups, collapsed, overlayState.selectedKey, overlayState.pageSize);
+    const target = groups.find(g => g.items.some(x => x.key === overlayState.selectedKey));
+    if (!page && target) {
+      collapsed.delete(target.id);
+      page = pageOfGroupedKey(groups, collapsed, overlayState.selectedKey, overlayState.pageSize);
+    }
+    if (page) overlayState.page = page;
 
     renderOverlay();
   }
   qs("#cm-open-overlay", ui).onclick = () => openOverlayWithSelected(overlayState.selectedKey);
 
+  /* ---------- Trash ---------- */
+
+  async function restoreKeys(keys) {
+    const res = await restoreFromTrash(keys);
+    queue = res.queue;
+    if (res.restored.length) pushLog(`Restored ${res.restored.length} items from trash`);
+    if (res.skipped.length) pushLog(`Not restored (key already in queue or newer schema): ${res.skipped.join(", ")}`, true);
+    renderFloatingList();
+    if (overlayState.open) renderOverlay();
+    return res;
+  }
+
+  function offerUndoDelete(keys) {
+    showToast(keys.length === 1 ? `Deleted ${keys[0]}` : `Deleted ${keys.length} items`, {
+      actionLabel: "Undo",
+      onAction: async () => {
+        try { await restoreKeys(keys); }
+        catch (e) { pushLog(String(e?.message || e), true); alert(e.message); }
+      }
+    });
+  }
+
+  const UNROUTED_QUERY = "-has:route";
+
+  // Toggle for the "would land in default/" filter; hidden while nothing is unrouted.
+  function renderUnroutedButton() {
+    const n = queue.filter(q => !downloadRouteOf(q).resolved).length;
+    const active = ovSearch.value.trim() === UNROUTED_QUERY;
+    ovUnrouted.style.display = n || active ? "" : "none";
+    ovUnrouted.textContent = active ? "Show all" : `⚠ ${n} → default/`;
+  }
+
+  async function refreshTrashCount() {
+    const n = await countTrash();
+    ovTrash.textContent = n ? `Trash (${n})` : "Trash";
+  }
+
+  async function openTrashDialog() {
+    const m = createModal("Trash", { width: 760 });
+    const picked = new Set();
+
+    const render = async () => {
+      const entries = await loadTrash();
+      const days = getTrashRetentionDays();
+      [...picked].forEach(k => { if (!entries.some(e => e.key === k)) picked.delete(k); });
+
+      m.body.innerHTML = `
+        <div style="display:flex; gap:8px; align-items:center; flex-wrap:wrap; margin-bottom:10px; font-size:12px;">
+          <span style="color:#c8ccd4;">Keep deleted items for</span>
+          <input data-f="days" type="number" min="0" step="1" style="width:70px; padding:4px 6px; border-radius:6px; border:1px solid #444; background:#12151a; color:#abb2bf;">
+          <span style="color:#c8ccd4;">days (0 = until emptied)</span>
+          <span style="flex:1;"></span>
+          <span style="color:#8b93a5;">${entries.length} items · not included in exports</span>
+        </div>
+        <div data-f="list"></div>
+      `;
+      const daysInput = qs('input[data-f="days"]', m.body);
+      daysInput.value = String(days);
+      daysInput.onchange = async () => {
+        setTrashRetentionDays(daysInput.value);
+        const n = await purgeExpiredTrash();
+        if (n) pushLog(`Trash: removed ${n} expired items`);
+        await render();
+      };
+
+      const listEl = qs('[data-f="list"]', m.body);
+      if (!entries.length) {
+        listEl.innerHTML = `<div style="padding:10px; color:#8b93a5;">Trash is empty.</div>`;
+      }
+      entries.forEach(e => {
+        const expires = days ? timeOf(e.deletedAt) + days * 86400000 : null;
+        const row = document.createElement("label");
+        row.style.cssText = "display:flex; gap:8px; align-items:flex-start; padding:8px; margin-bottom:6px; border:1px solid rgba(255,255,255,.08); border-radius:8px; background:rgba(255,255,255,.03); cursor:pointer;";
+        row.innerHTML = `
+          <input type="checkbox" ${picked.has(e.key) ? "checked" : ""} style="margin-top:3px;">
+          <div style="flex:1; min-width:0;">
+            <div style="font-weight:700; color:#d6dae3; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${escapeHtml(e.item.name || e.key)}</div>
+            <div style="font-size:12px; color:#9aa3b5;">${escapeHtml(e.key)}${queue.some(x => x.key === e.key) ? ` · <span style="color:#e5c07b;">key is in the queue again</span>` : ""}</div>
+            <div style="font-size:12px; color:#7f889d;">Deleted ${escapeHtml(formatTime(e.deletedAt))}${expires ? ` · removed after ${escapeHtml(formatTime(new Date(expires).toISOString()))}` : ""}</div>
+          </div>
+        `;
+        qs("input", row).onchange = (ev) => { ev.target.checked ? picked.add(e.key) : picked.delete(e.key); syncButtons(); };
+        listEl.appendChild(row);
+      });
+      syncButtons(entries.length);
+    };
+
+    m.footer.innerHTML = `
+      <button data-act="restore">Restore selected</button>
+      <button data-act="purge">Delete selected forever</button>
+      <button data-act="empty">Empty trash</button>
+      <span style="flex:1;"></span>
+      <button data-act="close">Close</button>
+    `;
+    const btn = act => qs(`button[data-act="${act}"]`, m.footer);
+    function syncButtons(total) {
+      btn("restore").disabled = !picked.size;
+      btn("purge").disabled = !picked.size;
+      if (total !== undefined) btn("empty").disabled = !total;
+    }
+
+    const run = async (fn) => {
+      try { await fn(); }
+      catch (e) { pushLog(String(e?.message || e), true); alert(e.message); }
+      await render();
+      refreshTrashCount();
+    };
+    btn("restore").onclick = () => run(async () => { await restoreKeys([...picked]); });
+    btn("purge").onclick = () => run(async () => {
+      if (!confirm(`Permanently delete ${picked.size} items?`)) return;
+      await emptyTrash([...picked]);
+      pushLog(`Permanently deleted ${picked.size} items`);
+    });
+    btn("empty").onclick = () => run(async () => {
+      if (!confirm("Permanently delete everything in the trash?")) return;
+      await emptyTrash();
+      pushLog("Trash emptied");
+    });
+    btn("close").onclick = () => m.close();
+
+    await render();
+  }
+
+  ovTrash.onclick = () => openTrashDialog();
+
+  ovReparse.onclick = async () => {
+    try {
+      const res = await reparseStoredMetaFields({ force: true });
+      queue = await loadQueueSafe();
+      pushLog(`Re-parsed metadata of ${res.reparsed} items (${res.changed} changed)`);
+      renderFloatingList();
+      renderOverlay();
+    } catch (e) {
+      pushLog(String(e?.message || e), true);
+      alert(e.message);
+    }
+  };
+
   ovClose.onclick = () => {
     overlayState.open = false;
     overlay.style.display = "none";
@@ -658,26 +4894,69 @@ async function main() {
   });
 
   function currentOverlayFiltered() {
-    const kw = safeLower(ovSearch.value);
-    return queue.filter(q => filterQueueByKw(q, kw));
+    const { items, error } = filterQueueByQuery(ovSearch.value);
+    overlayState.queryError = error;
+    ovQueryError.style.display = error ? "block" : "none";
+    ovQueryError.textContent = error ? `Search syntax: ${error}` : "";
+    ovSearch.style.borderColor = error ? "#e06c75" : "#444";
+    return sortItems(items, overlayState.view.sort, overlayState.view.dir);
+  }
+
+  function syncViewControls() {
+    ovSort.value = overlayState.view.sort;
+    ovGroup.value = overlayState.view.group;
+    ovSortDir.textContent = overlayState.view.dir === "asc" ? "↑ Asc" : "↓ Desc";
+  }
+
+  function renderGroupHeader(g, collapsed) {
+    const head = document.createElement("div");
+    head.style.cssText = "display:flex; align-items:center; gap:6px; padding:6px 4px; margin:4px 0 6px; cursor:pointer; font-size:12px; font-weight:700; color:#c8ccd4; border-bottom:1px solid rgba(255,255,255,.12);";
+    head.innerHTML = `
+      <span style="width:12px;">${collapsed ? "▸" : "▾"}</span>
+      <span style="flex:1; min-width:0; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${escapeHtml(g.label)}</span>
+      <span style="color:#8b93a5; font-weight:400;">${g.items.length}</span>
+    `;
+    head.onclick = () => {
+      if (overlayState.collapsedGroups.has(g.id)) overlayState.collapsedGroups.delete(g.id);
+      else overlayState.collapsedGroups.add(g.id);
+      renderOverlay();
+    };
+    ovList.appendChild(head);
   }
 
   function renderOverlayList(filtered) {
     ovList.innerHTML = "";
 
     if (filtered.length === 0) {
-      ovList.innerHTML = `<div style="padding:10px; color:#8b93a5;">No items.</div>`;
+      ovList.innerHTML = `<div style="padding:10px; color:#8b93a5;">${overlayState.queryError ? "Fix the search query." : "No items."}</div>`;
+      ovPageInfo.textContent = "";
+      ovPrev.disabled = ovNext.disabled = true;
       return;
     }
 
-    const totalPages = Math.max(1, Math.ceil(filtered.length / overlayState.pageSize));
-    overlayState.page = clamp(overlayState.page, 1, totalPages);
-
-    const start = (overlayState.page - 1) * overlayState.pageSize;
-    const end = Math.min(filtered.length, start + overlayState.pageSize);
-    const pageItems = filtered.slice(start, end);
+    // Pagination runs over the grouped view; a collapsed group takes one slot.
+    const grouped = overlayState.view.group !== "none";
+    const groups = groupItems(filtered, overlayState.view.group);
+    const collapsed = grouped ? overlayState.collapsedGroups : new Set();
+    const pg = pageGroupedEntries(groups, collapsed, overlayState.page, overlayState.pageSize);
+    overlayState.page = pg.page;
+    const totalPages = pg.totalPages;
+
+    const seen = new Set();
+    overlayState.visibleOrder = groups
+      .filter(g => !collapsed.has(g.id))
+      .flatMap(g => g.items.map(q => q.key))
+      .filter(k => !seen.has(k) && seen.add(k));
+    overlayState.pageKeys = pg.entries.filter(e => e.item).map(e => e.item.key);
+
+    let lastGroup = null;
+    pg.entries.forEach(({ group, item: q }) => {
+      if (grouped && group !== lastGroup) {
+        renderGroupHeader(group, !q);
+        lastGroup = group;
+      }
+      if (!q) return;
 
-    pageItems.forEach((q) => {
       const row = document.createElement("div");
       const selected = (q.key === overlayState.selectedKey);
       row.style.cssText = `
@@ -691,15 +4970,28 @@ async function main() {
 
       row.innerHTML = `
         <div style="display:flex; align-items:flex-start; gap:10px;">
+          <input type="checkbox" data-check="1" ${overlayState.checked.has(q.key) ? "checked" : ""} style="margin-top:3px;">
           <div style="flex:1; min-width:0;">
             <div style="font-weight:700; color:#d6dae3; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${escapeHtml(q.name)}</div>
             <div style="font-size:12px; color:#9aa3b5;">${escapeHtml(q.key)}</div>
             <div style="font-size:12px; color:#7f889d; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${escapeHtml(q.meta?.ModelTitle || "")}</div>
+            ${annotationsSummaryHtml(q)}
+            <div style="display:flex; gap:6px; flex-wrap:wrap; align-items:center; margin-top:3px;">
+              ${routeBadgeHtml(q)}
+              ${updateBadgeHtml(updateBadges.get(String(q.modelId)))}
+              ${downloadStateBadgeHtml(q)}
+              <span data-dl-badge="${escapeHtml(q.key)}">${downloaderBadgeHtml(downloaderStatus[q.key])}</span>
+            </div>
           </div>
           <button data-del="1" style="padding:6px 10px;">Delete</button>
         </div>
       `;
 
+      row.querySelector('input[data-check="1"]').onclick = (e) => {
+        e.stopPropagation();
+        toggleChecked(q.key, e.target.checked, e.shiftKey);
+      };
+
       row.onclick = (e) => {
         const btn = e.target && e.target.closest && e.target.closest("button");
         if (btn && btn.getAttribute("data-del") === "1") return;
@@ -715,63 +5007,520 @@ async function main() {
       ovList.appendChild(row);
     });
 
-    ovPageInfo.textContent = `Page ${overlayState.page} / ${totalPages}  •  ${filtered.length} items`;
+    ovPageInfo.textContent = `Page ${overlayState.page} / ${totalPages}  •  ${filtered.length} items${grouped ? `  •  ${groups.length} groups` : ""}`;
     ovPrev.disabled = (overlayState.page <= 1);
     ovNext.disabled = (overlayState.page >= totalPages);
   }
 
+  /* ---------- Multi-select ---------- */
+
+  // Shift-click applies the clicked state to the whole range from the previous click.
+  function toggleChecked(key, on, shift) {
+    const order = overlayState.visibleOrder;
+    const a = order.indexOf(overlayState.anchorKey);
+    const b = order.indexOf(key);
+    const range = (shift && a >= 0 && b >= 0) ? order.slice(Math.min(a, b), Math.max(a, b) + 1) : [key];
+    range.forEach(k => on ? overlayState.checked.add(k) : overlayState.checked.delete(k));
+    overlayState.anchorKey = key;
+    renderOverlay();
+  }
+
+  function renderBulkBar() {
+    // Drop selections whose items are gone (deleted here or in another tab).
+    const live = new Set(queue.map(x => x.key));
+    overlayState.checked.forEach(k => { if (!live.has(k)) overlayState.checked.delete(k); });
+
+    const n = overlayState.checked.size;
+    ovSelCount.textContent = overlayState.bulkBusy ? "Working…" : `${n} selected`;
+    qsa("button[data-needs-sel]", ovBulk).forEach(b => { b.disabled = !n || overlayState.bulkBusy; });
+    const onPage = overlayState.pageKeys.filter(k => overlayState.checked.has(k)).length;
+    ovCheckPage.checked = !!overlayState.pageKeys.length && onPage === overlayState.pageKeys.length;
+    ovCheckPage.indeterminate = onPage > 0 && onPage < overlayState.pageKeys.length;
+  }
+
+  function checkedKeys() {
+    return queue.map(x => x.key).filter(k => overlayState.checked.has(k));
+  }
+
+  function askTags(verb) {
+    const raw = prompt(`Tags to ${verb} (comma separated):`, "");
+    if (raw === null) return null;
+    const tags = normalizeTags(raw);
+    if (!tags.length) { alert("No tags given"); return null; }
+    return tags;
+  }
+
+  async function copyText(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch {
+      // Clipboard blocked (permissions / focus): show the text for manual copy instead.
+      const m = createModal("Copy links", { width: 720 });
+      m.body.innerHTML = `<textarea readonly style="width:100%; min-height:320px; box-sizing:border-box; padding:8px; border-radius:8px; border:1px solid #444; background:#12151a; color:#abb2bf; font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', monospace; font-size:12px;"></textarea>`;
+      const ta = qs("textarea", m.body);
+      ta.value = text;
+      const done = document.createElement("button");
+      done.textContent = "Close";
+      done.onclick = () => m.close();
+      m.footer.appendChild(done);
+      ta.select();
+      return false;
+    }
+  }
+
+  // Each action reads what it needs, then writes storage once.
+  const BULK_ACTIONS = {
+    async delete(keys) {
+      queue = await deleteKeysFromStorage(keys);
+      keys.forEach(k => overlayState.checked.delete(k));
+      if (keys.includes(overlayState.selectedKey)) overlayState.selectedKey = null;
+      pushLog(`Deleted ${keys.length} items (moved to trash)`);
+      offerUndoDelete(keys);
+    },
+    async export() {
+      await openExportDialog("selected");
+    },
+    async "tag-add"(keys) {
+      const tags = askTags("add");
+      if (!tags) return;
+      const now = new Date().toISOString();
+      const res = await patchItemsInStorage(keys, rec => {
+        const u = userFieldsOf(rec);
+        return { ...rec, user: { ...u, tags: normalizeTags([...u.tags, ...tags]) }, updatedAt: now };
+      });
+      queue = res.queue;
+      pushLog(`Added tags ${tags.join(", ")} to ${res.patched} items`);
+    },
+    async "tag-remove"(keys) {
+      const tags = askTags("remove");
+      if (!tags) return;
+      const drop = new Set(tags.map(safeLower));
+      const now = new Date().toISOString();
+      const res = await patchItemsInStorage(keys, rec => {
+        const u = userFieldsOf(rec);
+        return { ...rec, user: { ...u, tags: u.tags.filter(t => !drop.has(safeLower(t))) }, updatedAt: now };
+      });
+      queue = res.queue;
+      pushLog(`Removed tags ${tags.join(", ")} from ${res.patched} items`);
+    },
+    async rescrape(keys) {
+      const items = queue.filter(x => keys.includes(x.key));
+      const fresh = [];
+      let failed = 0;
+      for (let i = 0; i < items.length; i++) {
+        ovSelCount.textContent = `Re-scraping ${i + 1}/${items.length}…`;
+        try {
+          fresh.push(await rescrapeItem(items[i]));
+        } catch (e) {
+          failed++;
+          pushLog(`Re-scrape ${items[i].key} failed: ${e?.message || e}`, true);
+        }
+        if (i + 1 < items.length) await sleep(BULK_CAPTURE_DELAY_MS);
+      }
+      if (fresh.length) queue = await upsertScrapedItems(fresh);
+      pushLog(`Re-scraped ${fresh.length} items${failed ? `, ${failed} failed` : ""}`);
+    },
+    async "copy-links"(keys) {
+      const links = Array.from(new Set(queue
+        .filter(x => keys.includes(x.key))
+        .flatMap(x => Array.isArray(x.meta?.downloadlinks) ? x.meta.downloadlinks : [])));
+      if (!links.length) { pushLog("Copy links: selected items have no download links"); return; }
+      const ok = await copyText(links.join("\n"));
+      pushLog(ok ? `Copied ${links.length} download links` : `Showing ${links.length} download links (clipboard unavailable)`);
+    },
+    async send(keys) {
+      if (!downloaderBase()) throw new Error("Set the local downloader service URL in Settings first");
+      const res = await sendToDownloader(queue.filter(x => keys.includes(x.key)));
+      res.rejected.forEach(r => pushLog(`Downloader rejected ${r.key}: ${r.error}`, true));
+      pushLog(`Sent ${res.accepted.length} items to the local downloader${res.rejected.length ? `, ${res.rejected.length} rejected` : ""}`);
+      if (res.accepted.length) startDownloaderPolling();
+    }
+  };
+
+  ovCheckPage.onchange = () => {
+    overlayState.pageKeys.forEach(k => ovCheckPage.checked ? overlayState.checked.add(k) : overlayState.checked.delete(k));
+    renderOverlay();
+  };
+
+  ovBulk.addEventListener("click", async (e) => {
+    const act = e.target?.closest?.("button[data-bulk]")?.dataset.bulk;
+    if (!act || overlayState.bulkBusy) return;
+    if (act === "all") {
+      currentOverlayFiltered().forEach(q => overlayState.checked.add(q.key));
+      renderOverlay();
+      return;
+    }
+    if (act === "clear") {
+      overlayState.checked.clear();
+      renderOverlay();
+      return;
+    }
+    const keys = checkedKeys();
+    if (!keys.length) return;
+    overlayState.bulkBusy = true;
+    renderBulkBar();
+    try {
+      await BULK_ACTIONS[act](keys);
+    } catch (err) {
+      pushLog(String(err?.message || err), true);
+      alert(err.message);
+    } finally {
+      overlayState.bulkBusy = false;
+      renderFloatingList();
+      renderOverlay();
+    }
+  });
+
+  function startEdit(item) {
+    overlayState.editingKey = item.key;
+    overlayState.editDraft = {
+      name: item.name || "",
+      downloadlinks: Array.isArray(item.meta?.downloadlinks) ? item.meta.downloadlinks.slice() : [],
+      copiedMessage: item.meta?.copiedMessage || "",
+      metaPairs: (Array.isArray(item.meta?.metaPairs) ? item.meta.metaPairs : []).map(p => ({ key: p?.key || "", value: p?.value || "" }))
+    };
+    renderOverlay();
+  }
+
+  function stopEdit() {
+    overlayState.editingKey = null;
+    overlayState.editDraft = null;
+  }
+
+  // Edit mode works on overlayState.editDraft, so re-renders (e.g. other tabs writing) keep edits.
+  function renderOverlayEditor(item) {
+    const draft = overlayState.editDraft;
+    ovDetail.dataset.editKey = item.key;
+    const inputCss = "width:100%; box-sizing:border-box; padding:6px; border-radius:6px; border:1px solid #444; background:#12151a; color:#abb2bf;";
+    const monoCss = "font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', monospace; font-size:12px;";
+    const section = (title, inner) => `
+      <div style="margin-top:14px;">
+        <div style="font-weight:700; color:#c8ccd4; margin-bottom:6px;">${title}</div>
+        <div style="padding:10px; border:1px solid rgba(255,255,255,.08); border-radius:10px; background:rgba(255,255,255,.03);">${inner}</div>
+      </div>`;
+
+    ovDetail.innerHTML = `
+      <div style="display:flex; align-items:center; gap:10px;">
+        <div style="flex:1; font-weight:800; color:#d6dae3; font-size:18px;">Edit ${escapeHtml(item.key)}</div>
+        <button id="cm-ed-cancel" style="padding:8px 12px;">Cancel</button>
+        <button id="cm-ed-save" style="padding:8px 12px;">Save</button>
+      </div>
+      <div id="cm-ed-msgs" style="margin-top:8px; font-size:12px;"></div>
+
+      ${section("Name", `<input data-f="name" style="${inputCss}">`)}
+
+      ${section("Copied Message (AIR URN)", `
+        <input data-f="copiedMessage" placeholder="urn:air:sdxl:checkpoint:civitai:12345@67890" style="${inputCss} ${monoCss}">
+        <div style="margin-top:4px; font-size:11px; color:#8b93a5;">Leave empty if unknown. Invalid values make the downloader fall back to default/.</div>`)}
+
+      ${section("Selected Download Links", `
+        <div style="font-size:11px; color:#8b93a5; margin-bottom:6px;">Removing a link only deselects its variant; a new link becomes a selected variant.</div>
+        ${draft.downloadlinks.map((l, i) => `
+          <div style="display:flex; gap:6px; margin-bottom:6px;">
+            <input data-link="${i}" style="${inputCss} ${monoCss}">
+            <button data-link-del="${i}" style="padding:4px 8px;">Remove</button>
+          </div>`).join("")}
+        <div style="display:flex; gap:6px;">
+          <button id="cm-ed-link-add" style="padding:4px 8px;">Add link</button>
+          <button id="cm-ed-link-dedupe" style="padding:4px 8px;">Remove duplicates</button>
+        </div>`)}
+
+      ${section("Meta", `
+        ${draft.metaPairs.map((p, i) => `
+          <div style="display:flex; gap:6px; margin-bottom:6px;">
+            <input data-pair-key="${i}" placeholder="Key" style="${inputCss} width:35%;">
+            <input data-pair-val="${i}" placeholder="Value" style="${inputCss}">
+            <button data-pair-del="${i}" style="padding:4px 8px;">Remove</button>
+          </div>`).join("")}
+        <button id="cm-ed-pair-add" style="padding:4px 8px;">Add row</button>`)}
+    `;
+
+    // Values are assigned as properties (not markup) so nothing user-supplied is parsed as HTML.
+    const msgs = qs("#cm-ed-msgs", ovDetail);
+    function showValidation() {
+      const { errors, warnings } = validateItemEdit(item, draft);
+      msgs.innerHTML = [
+        ...errors.map(e => `<div style="color:#e06c75;">✗ ${escapeHtml(e)}</div>`),
+        ...warnings.map(w => `<div style="color:#e5c07b;">! ${escapeHtml(w)}</div>`)
+      ].join("");
+      return errors;
+    }
+
+    const nameIn = qs('[data-f="name"]', ovDetail);
+    nameIn.value = draft.name;
+    nameIn.oninput = () => { draft.name = nameIn.value; showValidation(); };
+
+    const airIn = qs('[data-f="copiedMessage"]', ovDetail);
+    airIn.value = draft.copiedMessage;
+    airIn.oninput = () => { draft.copiedMessage = airIn.value; showValidation(); };
+
+    qsa("input[data-link]", ovDetail).forEach(inp => {
+      const i = parseInt(inp.getAttribute("data-link"), 10);
+      inp.value = draft.downloadlinks[i];
+      inp.oninput = () => { draft.downloadlinks[i] = inp.value.trim(); showValidation(); };
+    });
+    qsa("button[data-link-del]", ovDetail).forEach(b => {
+      b.onclick = () => { draft.downloadlinks.splice(parseInt(b.getAttribute("data-link-del"), 10), 1); renderOverlayEditor(item); };
+    });
+    qs("#cm-ed-link-add", ovDetail).onclick = () => { draft.downloadlinks.push(""); renderOverlayEditor(item); };
+    qs("#cm-ed-link-dedupe", ovDetail).onclick = () => {
+      draft.downloadlinks = Array.from(new Set(draft.downloadlinks.filter(Boolean)));
+      renderOverlayEditor(item);
+    };
+
+    qsa("input[data-pair-key]", ovDetail).forEach(inp => {
+      const i = parseInt(inp.getAttribute("data-pair-key"), 10);
+      inp.value = draft.metaPairs[i].key;
+      inp.oninput = () => { draft.metaPairs[i].key = inp.value; showValidation(); };
+    });
+    qsa("input[data-pair-val]", ovDetail).forEach(inp => {
+      const i = parseInt(inp.getAttribute("data-pair-val"), 10);
+      inp.value = draft.metaPairs[i].value;
+      inp.oninput = () => { draft.metaPairs[i].value = inp.value; };
+    });
+    qsa("button[data-pair-del]", ovDetail).forEach(b => {
+      b.onclick = () => { draft.metaPairs.splice(parseInt(b.getAttribute("data-pair-del"), 10), 1); renderOverlayEditor(item); };
+    });
+    qs("#cm-ed-pair-add", ovDetail).onclick = () => { draft.metaPairs.push({ key: "", value: "" }); renderOverlayEditor(item); };
+
+    qs("#cm-ed-cancel", ovDetail).onclick = () => { stopEdit(); renderOverlay(); };
+    qs("#cm-ed-save", ovDetail).onclick = async () => {
+      if (showValidation().length) return;
+      try {
+        // Read-latest → apply → write in one transaction, so concurrent writes aren't clobbered.
+        queue = await patchItemInStorage(item.key, latest => applyItemEdit(latest, draft));
+        pushLog(`Edited ${item.key}`);
+        stopEdit();
+        renderFloatingList();
+        renderOverlay();
+      } catch (e) {
+        pushLog(String(e?.message || e), true);
+        alert(e.message);
+      }
+    };
+
+    showValidation();
+  }
+
+  // History tab: earlier snapshots of the scraped content, a diff between any two, restore.
+  function renderOverlayHistory(item) {
+    const sig = `${item.key}|${item.updatedAt}`;
+    if (ovDetail.dataset.historyKey === sig) return; // keep the chosen comparison across refreshes
+    ovDetail.dataset.historyKey = sig;
+
+    ovDetail.innerHTML = `
+      ${detailTabsHtml("history")}
+      <div style="font-weight:800; color:#d6dae3; font-size:18px; word-break:break-word;">${escapeHtml(item.name)}</div>
+      <div style="margin:4px 0 12px; font-size:12px; color:#9aa3b5;">Key: <span style="color:#d6dae3;">${escapeHtml(item.key)}</span></div>
+      <div id="cm-ov-history" style="color:#8b93a5;">Loading…</div>
+    `;
+    wireDetailTabs();
+    const box = qs("#cm-ov-history", ovDetail);
+
+    Promise.all([loadHistory(item.key), loadItemHtml(item.key)]).then(([rows, html]) => {
+      if (ovDetail.dataset.historyKey !== sig) return;
+      const versions = [
+        { id: "current", label: `Current · ${formatTime(item.updatedAt)}`, snapshot: snapshotOf({ ...item, html }) },
+        ...rows.map(r => ({ id: String(r.id), label: `${formatTime(r.takenAt)} · ${r.reason}`, snapshot: r.snapshot, row: r }))
+      ];
+      if (versions.length === 1) {
+        box.textContent = `No earlier snapshots yet. A snapshot is kept whenever a re-scrape changes the name, description, links, meta or AIR (last ${HISTORY_LIMIT} per item).`;
+        return;
+      }
+
+      const selectCss = "padding:6px; border-radius:8px; border:1px solid #444; background:#12151a; color:#abb2bf; max-width:260px;";
+      const options = versions.map(v => `<option value="${v.id}">${escapeHtml(v.label)}</option>`).join("");
+      box.style.color = "";
+      box.innerHTML = `
+        <div style="font-weight:700; color:#c8ccd4; margin-bottom:6px;">Snapshots</div>
+        <div style="padding:8px; border:1px solid rgba(255,255,255,.08); border-radius:10px; background:rgba(255,255,255,.03); margin-bottom:14px;">
+          ${versions.map(v => `
+            <div style="display:flex; gap:8px; align-items:center; padding:4px 0; font-size:12px;">
+              <span style="flex:1; min-width:0; color:${v.id === "current" ? "#d6dae3" : "#aeb6c7"};">${escapeHtml(v.label)}</span>
+              ${v.id === "current" ? "" : `<button data-restore="${v.id}" style="padding:3px 8px; font-size:12px;">Restore</button>`}
+            </div>
+          `).join("")}
+        </div>
+        <div style="display:flex; gap:8px; align-items:center; flex-wrap:wrap; margin-bottom:10px; font-size:12px;">
+          <span>Compare</span>
+          <select data-f="from" style="${selectCss}">${options}</select>
+          <span>→</span>
+          <select data-f="to" style="${selectCss}">${options}</select>
+        </div>
+        <div data-f="diff"></div>
+      `;
+
+      const from = qs('select[data-f="from"]', box);
+      const to = qs('select[data-f="to"]', box);
+      const diffBox = qs('[data-f="diff"]', box);
+      from.value = versions[1].id;
+      to.value = "current";
+      const renderDiff = () => {
+        const a = versions.find(v => v.id === from.value);
+        const b = versions.find(v => v.id === to.value);
+        diffBox.innerHTML = renderSnapshotDiffHtml(diffSnapshots(a.snapshot, b.snapshot));
+      };
+      from.onchange = renderDiff;
+      to.onchange = renderDiff;
+      renderDiff();
+
+      qsa("button[data-restore]", box).forEach(b => {
+        b.onclick = async () => {
+          const v = versions.find(x => x.id === b.dataset.restore);
+          try {
+            queue = await restoreSnapshot(item.key, v.row.id);
+            pushLog(`Restored ${item.key} to the snapshot from ${formatTime(v.row.takenAt)} (previous content kept in history)`);
+            renderFloatingList();
+            renderOverlay();
+          } catch (e) {
+            pushLog(String(e?.message || e), true);
+            alert(e.message);
+          }
+        };
+      });
+    }).catch((e) => {
+      box.textContent = `Failed to load history: ${e?.message || e}`;
+    });
+  }
+
+  function detailTabsHtml(active) {
+    const tab = (id, label) => `<button data-dtab="${id}" style="padding:6px 12px; ${active === id ? "background:#3a4150; font-weight:700;" : ""}">${label}</button>`;
+    return `<div style="display:flex; gap:6px; margin-bottom:12px;">${tab("details", "Details")}${tab("history", "History")}</div>`;
+  }
+
+  function wireDetailTabs() {
+    qsa("button[data-dtab]", ovDetail).forEach(b => {
+      b.onclick = () => { overlayState.detailTab = b.dataset.dtab; renderOverlay(); };
+    });
+  }
+
   function renderOverlayDetail(item) {
     if (!item) {
+      delete ovDetail.dataset.editKey;
+      delete ovDetail.dataset.historyKey;
       ovDetail.innerHTML = `<div style="padding:10px; color:#8b93a5;">Select an item.</div>`;
       return;
     }
+    if (overlayState.editingKey && overlayState.editingKey !== item.key) stopEdit();
+    if (overlayState.editingKey === item.key) {
+      // Already showing this form: leave it alone so focus/caret survive background refreshes.
+      delete ovDetail.dataset.historyKey;
+      if (ovDetail.dataset.editKey !== item.key) renderOverlayEditor(item);
+      return;
+    }
+    delete ovDetail.dataset.editKey;
+    if (overlayState.detailTab === "history") { renderOverlayHistory(item); return; }
+    delete ovDetail.dataset.historyKey;
 
     const metaPairs = Array.isArray(item.meta?.metaPairs) ? item.meta.metaPairs : [];
     const links = Array.isArray(item.meta?.downloadlinks) ? item.meta.downloadlinks : [];
-    const pageUrl = item.meta?.pageUrl || "";
+    const pageUrl = safeHttpUrl(item.meta?.pageUrl) || "";
     const copiedMessage = item.meta?.copiedMessage || null;
 
-    const pairsHtml = metaPairs.length
-      ? `<table style="width:100%; border-collapse:collapse; font-size:12px;">
-          <thead>
+    const pairsTable = (rows, head) => `<table style="width:100%; border-collapse:collapse; font-size:12px;">
+        ${head ? `<thead>
+          <tr>
+            <th style="text-align:left; padding:6px; border-bottom:1px solid rgba(255,255,255,.10); color:#c8ccd4; width:35%;">Key</th>
+            <th style="text-align:left; padding:6px; border-bottom:1px solid rgba(255,255,255,.10); color:#c8ccd4;">Value</th>
+          </tr>
+        </thead>` : ""}
+        <tbody>
+          ${rows.map(([k, v]) => `
             <tr>
-              <th style="text-align:left; padding:6px; border-bottom:1px solid rgba(255,255,255,.10); color:#c8ccd4; width:35%;">Key</th>
-              <th style="text-align:left; padding:6px; border-bottom:1px solid rgba(255,255,255,.10); color:#c8ccd4;">Value</th>
+              <td style="padding:6px; border-bottom:1px solid rgba(255,255,255,.06); color:#aeb6c7; vertical-align:top; width:35%;">${escapeHtml(k)}</td>
+              <td style="padding:6px; border-bottom:1px solid rgba(255,255,255,.06); color:#d6dae3; vertical-align:top; word-break:break-word;">${escapeHtml(v)}</td>
             </tr>
-          </thead>
-          <tbody>
-            ${metaPairs.map(p => `
-              <tr>
-                <td style="padding:6px; border-bottom:1px solid rgba(255,255,255,.06); color:#aeb6c7; vertical-align:top;">${escapeHtml(p.key)}</td>
-                <td style="padding:6px; border-bottom:1px solid rgba(255,255,255,.06); color:#d6dae3; vertical-align:top;">${escapeHtml(p.value)}</td>
-              </tr>
-            `).join("")}
-          </tbody>
-        </table>`
+          `).join("")}
+        </tbody>
+      </table>`;
+    const fields = metaFieldsOf(item);
+    const typedRows = [...metaFieldRows(fields), ...fields.other.map(p => [p.key || "(no key)", p.value])];
+    const pairsHtml = metaPairs.length
+      ? `${typedRows.length ? pairsTable(typedRows, false) : `<div style="color:#8b93a5; font-size:12px;">Nothing recognised.</div>`}
+        <details style="margin-top:8px; font-size:12px; color:#9aa3b5;">
+          <summary style="cursor:pointer;">Raw metaPairs (${metaPairs.length})</summary>
+          ${pairsTable(metaPairs.map(p => [p?.key, p?.value]), true)}
+        </details>`
       : `<div style="color:#8b93a5; font-size:12px;">No metaPairs.</div>`;
 
-    const linksHtml = links.length
+    const variants = variantsOf(item).length ? variantsOf(item) : links.map(l => variantFromUrl(l));
+    const route = downloadRouteOf(item);
+    const planned = new Map(planDownloads([item]).map(r => [r.variant.url, r]));
+    const dlState = downloadStateOf(item);
+    const linkStates = new Map(dlState.links.map(l => [l.url, l]));
+    const linkStateHtml = (l) => {
+      if (!l || l.state === "none") return "";
+      if (l.state === "failed") return `<div style="font-size:12px; color:#e06c75; word-break:break-all;">✗ ${escapeHtml(l.record.error)}</div>`;
+      const size = Number(l.record.size_bytes) > 0 ? ` (${formatSizeKB(Number(l.record.size_bytes) / 1024)})` : "";
+      return `<div style="font-size:12px; color:#98c379; word-break:break-all;">✓ ${escapeHtml(l.record.relative_path || "downloaded")}${escapeHtml(size)}</div>`;
+    };
+    const variantsHtml = variants.length
       ? `<div style="display:flex; flex-direction:column; gap:6px;">
-          ${links.map(l => `
-            <a href="${escapeHtml(l)}" target="_blank" rel="noopener noreferrer"
-               style="color:#7fb0ff; text-decoration:none; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">
-              ${escapeHtml(l)}
-            </a>
+          ${variants.map((v, i) => `
+            <label style="display:flex; gap:8px; align-items:flex-start; cursor:pointer;">
+              <input type="checkbox" data-variant="${i}" ${v.selected ? "checked" : ""} style="margin-top:2px;">
+              <div style="flex:1; min-width:0;">
+                <div style="font-size:13px; color:${v.selected ? "#d6dae3" : "#8b93a5"};">
+                  ${escapeHtml(variantLabel(v))}
+                  ${v.primary ? `<span style="margin-left:6px; padding:0 6px; border-radius:8px; background:rgba(152,195,121,.18); color:#98c379; font-size:11px;">primary</span>` : ""}
+                  ${v.sizeBytes ? `<span style="margin-left:6px; color:#8b93a5; font-size:12px;">${escapeHtml(formatSizeKB(v.sizeBytes / 1024))}</span>` : ""}
+                </div>
+                ${v.fileName ? `<div style="font-size:12px; color:#9aa3b5; word-break:break-all;">${escapeHtml(v.fileName)}</div>` : ""}
+                ${planned.has(v.url) && linkStates.get(v.url)?.state !== "complete" ? `<div style="font-size:12px; color:${route.resolved ? "#98c379" : "#e06c75"}; word-break:break-all;">→ ${escapeHtml(planned.get(v.url).relativePath || `${route.dir}/${route.prefix}<server file name>`)}</div>` : ""}
+                ${v.selected ? linkStateHtml(linkStates.get(v.url)) : ""}
+                ${safeHttpUrl(v.url)
+                  ? `<a href="${escapeHtml(safeHttpUrl(v.url))}" target="_blank" rel="noopener noreferrer"
+                       style="display:block; font-size:12px; color:#7fb0ff; text-decoration:none; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;">${escapeHtml(v.url)}</a>`
+                  : `<span style="font-size:12px; color:#e06c75; word-break:break-all;" title="Not an http(s) URL">${escapeHtml(v.url)}</span>`}
+              </div>
+            </label>
           `).join("")}
-        </div>`
+        </div>
+        ${links.length ? "" : `<div style="margin-top:8px; font-size:12px; color:#e5c07b;">No variant selected; exports will carry no download links for this item.</div>`}
+        ${dlState.total ? `<div style="margin-top:8px; font-size:12px; color:#8b93a5;">${escapeHtml(DOWNLOAD_STATES[dlState.state])}: ${dlState.done}/${dlState.total} selected files on disk${dlState.failed ? `, ${dlState.failed} failed` : ""}.</div>` : ""}`
       : `<div style="color:#8b93a5; font-size:12px;">No download links.</div>`;
 
+    const ann = userFieldsOf(item);
+    const annotationsHtml = (ann.tags.length || ann.rating || ann.note)
+      ? `
+        ${ann.rating ? `<div style="color:#e5c07b;">${ratingStars(ann.rating)}</div>` : ""}
+        ${ann.tags.length ? `<div style="display:flex; gap:4px; flex-wrap:wrap; margin:4px 0;">${ann.tags.map(t => `<span style="padding:1px 8px; border-radius:8px; background:rgba(97,175,239,.18); color:#9ccfff; font-size:12px;">${escapeHtml(t)}</span>`).join("")}</div>` : ""}
+        ${ann.note ? `<div style="margin-top:6px; color:#d6dae3;">${renderNoteMarkdown(ann.note)}</div>` : ""}`
+      : `<div style="color:#8b93a5; font-size:12px;">No tags, rating or note.</div>`;
+
+    const newer = updateBadges.get(String(item.modelId)) || [];
+    const newerHtml = newer.length
+      ? `<div style="margin-top:6px; font-size:12px; color:#e5c07b;">
+          Newer versions:
+          ${newer.map(v => `<span style="margin-right:6px;">${escapeHtml(v.name || v.id)}${v.baseModel ? ` <span style="color:#8b93a5;">(${escapeHtml(v.baseModel)})</span>` : ""} <button data-queue-version="${escapeHtml(v.id)}" style="padding:2px 6px; font-size:11px;">Queue</button></span>`).join("")}
+        </div>`
+      : "";
+
+    const air = item.meta?.air || airPartsFor(copiedMessage, "unknown");
+    const airOriginColor = { civitai: "#98c379", derived: "#61afef", manual: "#e5c07b" }[air?.origin] || "#8b93a5";
     const copiedHtml = copiedMessage
-      ? `<textarea readonly style="width:100%; min-height:90px; border-radius:8px; border:1px solid #444; background:#12151a; color:#abb2bf; padding:10px; font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', monospace;">${copiedMessage}</textarea>`
-      : `<div style="color:#8b93a5; font-size:12px;">(missing / clipboard not accessible)</div>`;
+      ? `<input readonly value="${escapeHtml(copiedMessage)}" style="width:100%; box-sizing:border-box; border-radius:8px; border:1px solid #444; background:#12151a; color:#abb2bf; padding:8px; font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', monospace;">
+        ${air
+          ? `<div style="display:flex; gap:12px; flex-wrap:wrap; margin-top:8px; font-size:12px; color:#9aa3b5;">
+              ${["ecosystem", "type", "source", "id", "version", "format"].map(k => `<span>${k}: <span style="color:#d6dae3;">${escapeHtml(air[k] || "—")}</span></span>`).join("")}
+            </div>
+            <div style="margin-top:6px; font-size:12px; color:${airOriginColor};">${escapeHtml(AIR_ORIGINS[air.origin] || AIR_ORIGINS.unknown)}</div>`
+          : `<div style="margin-top:6px; font-size:12px; color:#e06c75;">Not a valid AIR URN; the downloader will use default/.</div>`}`
+      : `<div style="color:#8b93a5; font-size:12px;">(missing: type or base model unknown)</div>`;
+    const routeHtml = route.resolved
+      ? `<div style="margin-top:8px; font-size:12px; color:#9aa3b5;">Download folder: <span style="color:#98c379;">${escapeHtml(route.dir)}/</span> · file prefix <span style="color:#98c379;">${escapeHtml(route.prefix)}</span></div>`
+      : `<div style="margin-top:8px; font-size:12px; color:#e06c75;">⚠ Downloads will go to default/ (${escapeHtml(ROUTE_FALLBACK_REASONS[route.reason])}). Set a valid AIR in Edit before downloading.</div>`;
 
     ovDetail.innerHTML = `
+      ${detailTabsHtml("details")}
       <div style="display:flex; align-items:flex-start; gap:10px; flex-wrap:wrap;">
         <div style="flex:1; min-width:0;">
           <div style="font-weight:800; color:#d6dae3; font-size:18px; word-break:break-word;">${escapeHtml(item.name)}</div>
           <div style="margin-top:4px; font-size:12px; color:#9aa3b5;">Key: <span style="color:#d6dae3;">${escapeHtml(item.key)}</span></div>
           <div style="font-size:12px; color:#9aa3b5;">ModelId: <span style="color:#d6dae3;">${escapeHtml(String(item.modelId))}</span>  •  VersionId: <span style="color:#d6dae3;">${escapeHtml(String(item.versionId))}</span></div>
           <div style="font-size:12px; color:#9aa3b5;">Updated: <span style="color:#d6dae3;">${escapeHtml(formatTime(item.updatedAt))}</span></div>
+          ${newerHtml}
           <div style="margin-top:6px; font-size:12px;">
             Page:
             ${pageUrl ? `<a href="${escapeHtml(pageUrl)}" target="_blank" rel="noopener noreferrer" style="color:#7fb0ff; text-decoration:none;">Open</a>` : `<span style="color:#8b93a5;">(none)</span>`}
@@ -779,21 +5528,33 @@ async function main() {
         </div>
 
         <div style="display:flex; gap:8px;">
+          <button id="cm-ov-edit" style="padding:8px 12px;">Edit</button>
           <button id="cm-ov-del" style="padding:8px 12px;">Delete</button>
         </div>
       </div>
 
       <div style="margin-top:14px;">
-        <div style="font-weight:700; color:#c8ccd4; margin-bottom:6px;">Copied Message</div>
+        <div style="display:flex; gap:8px; align-items:center; margin-bottom:6px;">
+          <div style="font-weight:700; color:#c8ccd4; flex:1;">Tags / Rating / Note</div>
+          <button id="cm-ov-notes" style="padding:6px 10px;">Edit notes</button>
+        </div>
+        <div style="padding:10px; border:1px solid rgba(255,255,255,.08); border-radius:10px; background:rgba(255,255,255,.03); font-size:13px;">
+          ${annotationsHtml}
+        </div>
+      </div>
+
+      <div style="margin-top:14px;">
+        <div style="font-weight:700; color:#c8ccd4; margin-bottom:6px;">AIR</div>
         <div style="padding:10px; border:1px solid rgba(255,255,255,.08); border-radius:10px; background:rgba(255,255,255,.03);">
           ${copiedHtml}
+          ${routeHtml}
         </div>
       </div>
 
       <div style="margin-top:14px;">
-        <div style="font-weight:700; color:#c8ccd4; margin-bottom:6px;">Download Links</div>
+        <div style="font-weight:700; color:#c8ccd4; margin-bottom:6px;">Downloads <span style="font-weight:400; font-size:12px; color:#8b93a5;">(${links.length}/${variants.length} selected for export)</span></div>
         <div style="padding:10px; border:1px solid rgba(255,255,255,.08); border-radius:10px; background:rgba(255,255,255,.03);">
-          ${linksHtml}
+          ${variantsHtml}
         </div>
       </div>
 
@@ -812,13 +5573,26 @@ async function main() {
         </div>
 
         <div id="cm-ov-htmlbox" style="padding:10px; border:1px solid rgba(255,255,255,.08); border-radius:10px; background:rgba(255,255,255,.03);">
-          <div id="cm-ov-html-preview" style="display:block;">${item.html || ""}</div>
-          <textarea id="cm-ov-html-raw" style="display:none; width:100%; min-height:240px; border-radius:8px; border:1px solid #444; background:#12151a; color:#abb2bf; padding:10px; font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', monospace;">${item.html || ""}</textarea>
+          <div id="cm-ov-html-note" style="display:none; margin-bottom:6px; font-size:12px; color:#8b93a5;"></div>
+          <div id="cm-ov-html-preview" style="display:block; height:420px; resize:vertical; overflow:hidden; color:#8b93a5;">Loading…</div>
+          <textarea id="cm-ov-html-raw" style="display:none; width:100%; min-height:240px; border-radius:8px; border:1px solid #444; background:#12151a; color:#abb2bf; padding:10px; font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', monospace;"></textarea>
         </div>
       </div>
     `;
 
+    wireDetailTabs();
+    qsa("button[data-queue-version]", ovDetail).forEach(b => {
+      b.onclick = () => queueNewerVersion(item.modelId, newer.find(v => v.id === b.dataset.queueVersion));
+    });
     qs("#cm-ov-del", ovDetail).onclick = async () => { await deleteByKey(item.key); };
+    qs("#cm-ov-edit", ovDetail).onclick = () => startEdit(item);
+    qs("#cm-ov-notes", ovDetail).onclick = () => editAnnotations(item);
+    qsa("input[data-variant]", ovDetail).forEach(cb => {
+      cb.onchange = () => {
+        const urls = qsa("input[data-variant]", ovDetail).filter(x => x.checked).map(x => variants[parseInt(x.dataset.variant, 10)].url);
+        saveVariantSelection(item, urls);
+      };
+    });
 
     const previewBtn = ovDetail.querySelector(`button.cm-ov-tabs[data-tab="preview"]`);
     const rawBtn = ovDetail.querySelector(`button.cm-ov-tabs[data-tab="raw"]`);
@@ -831,6 +5605,22 @@ async function main() {
     }
     previewBtn.onclick = () => setTab("preview");
     rawBtn.onclick = () => setTab("raw");
+
+    // Description HTML lives in its own store; fetch it for the selected item only.
+    // It is untrusted: sanitized and shown in a sandboxed frame, never injected into the page.
+    loadItemHtml(item.key).then((html) => {
+      if (overlayState.selectedKey !== item.key || !prev.isConnected) return;
+      prev.style.color = "";
+      const { blockedImages } = renderDescriptionPreview(prev, html, { blockRemoteImages: getBlockRemoteImages() });
+      const noteEl = qs("#cm-ov-html-note", ovDetail);
+      if (blockedImages) {
+        noteEl.style.display = "block";
+        noteEl.textContent = `${blockedImages} remote image${blockedImages === 1 ? "" : "s"} blocked (Settings → Block remote images).`;
+      }
+      raw.value = html;
+    }).catch((e) => {
+      prev.textContent = `Failed to load HTML: ${e?.message || e}`;
+    });
   }
 
   function renderOverlay() {
@@ -838,6 +5628,8 @@ async function main() {
 
     overlayState.pageSize = parseInt(ovPageSize.value, 10) || overlayState.pageSize;
 
+    refreshUpdateBadges();
+    downloaderStatus = loadDownloaderStatus();
     const filtered = currentOverlayFiltered();
     if (!overlayState.selectedKey && filtered.length) overlayState.selectedKey = filtered[0].key;
     if (overlayState.selectedKey && filtered.length && !filtered.some(x => x.key === overlayState.selectedKey)) {
@@ -845,11 +5637,30 @@ async function main() {
     }
 
     renderOverlayList(filtered);
+    renderBulkBar();
+    renderUnroutedButton();
+    refreshTrashCount();
     const item = queue.find(x => x.key === overlayState.selectedKey) || null;
     renderOverlayDetail(item);
   }
 
   ovSearch.oninput = () => { overlayState.page = 1; renderOverlay(); };
+  ovUnrouted.onclick = () => {
+    ovSearch.value = ovSearch.value.trim() === UNROUTED_QUERY ? "" : UNROUTED_QUERY;
+    overlayState.page = 1;
+    renderOverlay();
+  };
+  syncViewControls();
+  const changeView = (patch) => {
+    overlayState.view = { ...overlayState.view, ...patch };
+    saveViewSettings(overlayState.view);
+    syncViewControls();
+    overlayState.page = 1;
+    renderOverlay();
+  };
+  ovSort.onchange = () => changeView({ sort: ovSort.value, dir: SORT_OPTIONS[ovSort.value]?.dir || "desc" });
+  ovSortDir.onclick = () => changeView({ dir: overlayState.view.dir === "asc" ? "desc" : "asc" });
+  ovGroup.onchange = () => { overlayState.collapsedGroups.clear(); changeView({ group: ovGroup.value }); };
   ovPageSize.onchange = () => { overlayState.pageSize = parseInt(ovPageSize.value, 10) || 25; overlayState.page = 1; renderOverlay(); };
   ovPrev.onclick = () => { overlayState.page = Math.max(1, overlayState.page - 1); renderOverlay(); };
   ovNext.onclick = () => { overlayState.page = overlayState.page + 1; renderOverlay(); };
@@ -857,9 +5668,13 @@ async function main() {
   // Floating: Add current (FIXED multi-tab: upsertItemToStorage)
   qs("#cm-add", ui).onclick = async () => {
     try {
-      const item = await scrapeCurrentPage();
-      queue = await upsertItemToStorage(item);
-      pushLog(item.meta?.copiedMessage ? `Added/Updated ${item.key} (copiedMessage ok)` : `Added/Updated ${item.key} (copiedMessage missing)`);
+      const item = await scrapeCurrentPage(pushLog);
+      queue = await upsertScrapedItems([item]);
+      if (pageState.href === location.href) pageState.fresh = item;
+      const via = item.meta?.scrapeSource === "api" ? "via API" : "via page DOM";
+      pushLog(item.meta?.copiedMessage
+        ? `Added/Updated ${item.key} ${via} (AIR ${item.meta.air?.origin || "ok"})`
+        : `Added/Updated ${item.key} ${via} (AIR missing)`);
       renderFloatingList();
       if (overlayState.open) {
         overlayState.selectedKey = item.key;
@@ -871,12 +5686,174 @@ async function main() {
     }
   };
 
-  // Export (read latest first to ensure complete)
-  qs("#cm-export", ui).onclick = async () => {
+  // Floating: Add all / selected versions of the current model (single merge write)
+  qs("#cm-add-versions", ui).onclick = async () => {
     try {
+      const ids = parseModelAndVersionFromUrl();
+      if (!ids) throw new Error("Cannot parse model id");
+
+      const model = await fetchModelJson(ids.modelId);
+      if (!Array.isArray(model?.modelVersions) || !model.modelVersions.length) {
+        throw new Error("No versions found for this model");
+      }
+
       queue = await loadQueueSafe();
-      await exportAll(queue);
-      pushLog("Exported JSON + HTML");
+      const picked = await pickVersionsDialog(model, new Set(queue.map(x => x.key)));
+      if (!picked || !picked.length) { pushLog("Add versions: nothing selected"); return; }
+
+      const { items, errors } = itemsForModelVersions(model, picked);
+      errors.forEach(er => pushLog(`Version ${er.versionId}: ${er.message}`, true));
+      if (!items.length) return;
+
+      queue = await upsertScrapedItems(items);
+      pushLog(`Added/Updated ${items.length} versions of model ${model.id}`);
+      renderFloatingList();
+      if (overlayState.open) renderOverlay();
+    } catch (e) {
+      pushLog(String(e?.message || e), true);
+      alert(e.message);
+    }
+  };
+
+  // Listing pages: serial, rate-limited capture; merged in batches (one write per batch).
+  const bulk = { jobs: [], running: false, done: 0, failed: 0, total: 0 };
+
+  function setCardState(btn, state, title) {
+    if (!btn) return;
+    const look = {
+      idle: ["+ Queue", "#2b313c"],
+      pending: ["…", "#3a404d"],
+      ok: ["✓ Queued", "#2f6f4f"],
+      fail: ["✗ Failed", "#7a2f2f"]
+    }[state] || ["+ Queue", "#2b313c"];
+    btn.textContent = look[0];
+    btn.style.background = look[1];
+    btn.dataset.state = state;
+    btn.title = title || "";
+  }
+
+  function enqueueCaptures(jobs) {
+    const fresh = jobs.filter(j => j.btn?.dataset.state !== "pending" && j.btn?.dataset.state !== "ok");
+    if (!fresh.length) { pushLog("Bulk: nothing new to queue"); return; }
+    fresh.forEach(j => setCardState(j.btn, "pending"));
+    bulk.jobs.push(...fresh);
+    bulk.total += fresh.length;
+    pushLog(`Bulk: queued ${fresh.length} cards (${bulk.jobs.length} pending)`);
+    runBulkCaptures();
+  }
+
+  async function runBulkCaptures() {
+    if (bulk.running) return;
+    bulk.running = true;
+    let batch = [];
+    const flush = async () => {
+      if (!batch.length) return;
+      queue = await upsertScrapedItems(batch);
+      batch = [];
+      renderFloatingList();
+      if (overlayState.open) renderOverlay();
+    };
+
+    try {
+      while (bulk.jobs.length) {
+        const job = bulk.jobs.shift();
+        const label = makeKey(job.ref.modelId, job.ref.versionId);
+        try {
+          const item = await captureModelRef(job.ref);
+          batch.push(item);
+          bulk.done++;
+          setCardState(job.btn, "ok", item.key);
+          pushLog(`Bulk ${bulk.done + bulk.failed}/${bulk.total}: ${item.key} ${item.name}`);
+        } catch (e) {
+          bulk.failed++;
+          setCardState(job.btn, "fail", String(e?.message || e));
+          pushLog(`Bulk ${bulk.done + bulk.failed}/${bulk.total}: ${label} failed: ${e?.message || e}`, true);
+        }
+        if (batch.length >= BULK_MERGE_BATCH) await flush();
+        if (bulk.jobs.length) await sleep(BULK_CAPTURE_DELAY_MS);
+      }
+      await flush();
+      pushLog(`Bulk done: ${bulk.done} ok, ${bulk.failed} failed`);
+    } catch (e) {
+      pushLog(`Bulk aborted: ${e?.message || e}`, true);
+    } finally {
+      bulk.running = false;
+      bulk.done = bulk.failed = bulk.total = 0;
+    }
+  }
+
+  function decorateModelCards() {
+    findModelCards().forEach(({ el, ref }) => {
+      const host = el.parentElement;
+      if (!host || qs(":scope > .cm-card-btn", host)) return;
+      if (getComputedStyle(host).position === "static") host.style.position = "relative";
+
+      const btn = document.createElement("button");
+      btn.className = "cm-card-btn";
+      btn.style.cssText = `
+        position:absolute; top:8px; left:8px; z-index:20;
+        padding:3px 8px; font-size:12px; border-radius:6px;
+        border:1px solid rgba(255,255,255,.25); color:#d6dae3; cursor:pointer;
+      `;
+      setCardState(btn, "idle");
+      btn._cmRef = ref;
+      btn.onclick = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (btn.dataset.state === "ok" || btn.dataset.state === "pending") return;
+        enqueueCaptures([{ ref, btn }]);
+      };
+      host.appendChild(btn);
+    });
+  }
+
+  qs("#cm-queue-visible", ui).onclick = () => {
+    decorateModelCards();
+    const jobs = qsa(".cm-card-btn")
+      .filter(b => b._cmRef && isElementVisible(b.parentElement))
+      .map(b => ({ ref: b._cmRef, btn: b }));
+    if (!jobs.length) { pushLog("No model cards on this page"); return; }
+    enqueueCaptures(jobs);
+  };
+
+  // Cards arrive via infinite scroll / client-side rendering.
+  const cardObserver = new MutationObserver(() => {
+    clearTimeout(cardObserver._t);
+    cardObserver._t = setTimeout(decorateModelCards, 300);
+  });
+  cardObserver.observe(document.body, { childList: true, subtree: true });
+  decorateModelCards();
+
+  // Export: pick format + scope, then read the latest full items in the current sort order.
+  async function openExportDialog(defaultScope) {
+    queue = await loadQueueSafe();
+    const query = overlayState.open ? ovSearch.value : search.value;
+    const filtered = filterQueueByQuery(query);
+    const live = new Set(queue.map(x => x.key));
+    const selected = Array.from(overlayState.checked).filter(k => live.has(k));
+    const choice = await exportDialog({
+      counts: { all: queue.length, filtered: filtered.error ? 0 : filtered.items.length, selected: selected.length },
+      scope: defaultScope,
+      query: query.trim()
+    });
+    if (!choice) return;
+
+    let picked = choice.scope === "filtered" ? filtered.items
+      : choice.scope === "selected" ? queue.filter(x => overlayState.checked.has(x.key))
+      : queue;
+    const before = picked.length;
+    if (choice.skipComplete && EXPORT_FORMATS[choice.format].downloadPlan) picked = picked.filter(x => downloadStateOf(x).state !== "complete");
+    const skipped = before - picked.length;
+    if (!picked.length) { pushLog(`Export: nothing to export (${skipped} items already downloaded)`); return; }
+    const keys = sortItems(picked, overlayState.view.sort, overlayState.view.dir).map(x => x.key);
+    const full = await loadFullItems(keys);
+    await exportItems(full, choice.format);
+    pushLog(`Exported ${EXPORT_FORMATS[choice.format].label} (${full.length} items, ${choice.scope}${skipped ? `, ${skipped} already downloaded skipped` : ""})`);
+  }
+
+  qs("#cm-export", ui).onclick = async () => {
+    try {
+      await openExportDialog("all");
       renderFloatingList();
       if (overlayState.open) renderOverlay();
     } catch (e) {
@@ -885,6 +5862,24 @@ async function main() {
     }
   };
 
+  // Import: classify against latest storage → preview → write once
+  async function previewAndApplyImport(items, sourceLabel) {
+    if (!items.length) { pushLog(`Import ${sourceLabel}: no items`); return; }
+    const latest = await loadFullItems(items.map(x => x.key));
+    const plan = await importPreviewDialog(planImport(latest, items), sourceLabel);
+    if (!plan) { pushLog(`Import ${sourceLabel}: cancelled`); return; }
+
+    // Written against a fresh read: the preview may have been open for a while.
+    const res = await applyImportPlan(plan);
+    queue = res.queue;
+    const byPolicy = { local: 0, incoming: 0, merge: 0 };
+    plan.forEach(e => { byPolicy[e.policy] = (byPolicy[e.policy] || 0) + 1; });
+    pushLog(`Imported ${sourceLabel}: ${byPolicy.incoming} taken, ${byPolicy.merge} merged, ${byPolicy.local} kept local`);
+    if (res.remerged.length) pushLog(`Import ${sourceLabel}: ${res.remerged.length} items changed during the preview and were merged instead of replaced: ${res.remerged.join(", ")}`);
+    renderFloatingList();
+    if (overlayState.open) renderOverlay();
+  }
+
   // Import JSON (FIXED multi-tab: mergeItemsIntoStorage)
   qs("#cm-import-json", ui).onclick = async () => {
     const f = document.createElement("input");
@@ -893,11 +5888,11 @@ async function main() {
     f.onchange = async () => {
       try {
         const text = await f.files[0].text();
-        const items = importFromJSON(text);
-        queue = await mergeItemsIntoStorage(items);
-        pushLog(`Imported JSON: ${items.length} items`);
-        renderFloatingList();
-        if (overlayState.open) renderOverlay();
+        const { items, issues, skipped, migrationNotes } = importFromJSON(text);
+        issues.forEach(line => pushLog(`Import: ${line}`, true));
+        if (migrationNotes.length) pushLog(`Import migrations: ${summarizeNotes(migrationNotes)}`);
+        if (skipped) pushLog(`Import: ${skipped} malformed items skipped`, true);
+        await previewAndApplyImport(items, `JSON ${f.files[0].name}`);
       } catch (e) {
         pushLog(String(e?.message || e), true);
         alert(e.message);
@@ -914,9 +5909,46 @@ async function main() {
     f.onchange = async () => {
       try {
         const text = await f.files[0].text();
-        const items = importFromHTML(text);
-        queue = await mergeItemsIntoStorage(items);
-        pushLog(`Imported HTML: ${items.length} items`);
+        const { items, issues, skipped, migrationNotes } = importFromHTML(text);
+        issues.forEach(line => pushLog(`Import: ${line}`, true));
+        if (migrationNotes.length) pushLog(`Import migrations: ${summarizeNotes(migrationNotes)}`);
+        if (skipped) pushLog(`Import: ${skipped} malformed items skipped`, true);
+        await previewAndApplyImport(items, `HTML ${f.files[0].name}`);
+      } catch (e) {
+        pushLog(String(e?.message || e), true);
+        alert(e.message);
+      }
+    };
+    f.click();
+  };
+
+  // Import Results: only `downloads` records, merged into items that exist locally.
+  qs("#cm-import-results", ui).onclick = async () => {
+    const f = document.createElement("input");
+    f.type = "file";
+    f.accept = ".json";
+    f.onchange = async () => {
+      try {
+        const text = await f.files[0].text();
+        const { results, issues, skipped } = parseDownloadResults(text);
+        issues.forEach(line => pushLog(`Import results: ${line}`, true));
+        if (skipped) pushLog(`Import results: ${skipped} malformed items skipped`, true);
+        if (!results.size) { pushLog(`Import results ${f.files[0].name}: no download records`); return; }
+
+        let added = 0, touched = 0;
+        const now = new Date().toISOString();
+        const res = await patchItemsInStorage(Array.from(results.keys()), rec => {
+          const merged = mergeDownloadResults(rec.downloads, results.get(rec.key));
+          if (!merged.added) return rec;
+          added += merged.added;
+          touched++;
+          // Download records are not an edit of the item: keep updatedAt (sort order, merge precedence).
+          return { ...rec, downloads: merged.downloads, downloadsUpdatedAt: now };
+        });
+        queue = res.queue;
+        const unknown = results.size - res.patched;
+        const complete = queue.filter(x => results.has(x.key) && downloadStateOf(x).state === "complete").length;
+        pushLog(`Import results ${f.files[0].name}: ${added} new download records on ${touched} items, ${complete} of ${res.patched} fully downloaded${unknown ? `, ${unknown} keys not in the queue` : ""}`);
         renderFloatingList();
         if (overlayState.open) renderOverlay();
       } catch (e) {
@@ -930,8 +5962,23 @@ async function main() {
   qs("#cm-clear-log", ui).onclick = () => { uiLog.length = 0; logBox.textContent = ""; };
   search.oninput = () => renderFloatingList();
 
+  if (migrated) pushLog(`Migrated ${migrated} items from legacy storage to IndexedDB`);
+  if (schemaResult?.migrated) pushLog(`Upgraded ${schemaResult.migrated} stored items: ${summarizeNotes(schemaResult.notes)}`);
+  if (schemaResult?.tooNew) pushLog(`${schemaResult.tooNew} stored items use a newer schema than v${SCHEMA_VERSION}; update the userscript`, true);
+  if (migrateError) pushLog(`Storage migration failed: ${migrateError}`, true);
+  if (reparsed?.changed) pushLog(`Metadata parser v${META_PARSER_VERSION}: re-parsed ${reparsed.changed} stored items`);
+  if (purged) pushLog(`Trash: removed ${purged} items older than ${getTrashRetentionDays()} days`);
   pushLog(`Loaded ${queue.length} items`);
   renderFloatingList();
+  // Jobs still running from an earlier page load
+  if (downloaderBase() && pollableDownloaderKeys().length) startDownloaderPolling();
+  // Hand the poll lease to another tab right away instead of letting it expire.
+  window.addEventListener("pagehide", () => releaseDownloaderLease(downloaderPoll.tabId));
+
+  // Civitai is an SPA: the script is injected once, so watch the URL for route changes.
+  window.addEventListener("popstate", () => { if (location.href !== pageState.href) onRouteChange(); });
+  setInterval(() => { if (location.href !== pageState.href) onRouteChange(); }, ROUTE_POLL_MS);
+  onRouteChange();
 
   window.addEventListener("keydown", (e) => {
     if (e.key === "Escape" && overlayState.open) {